@@ -0,0 +1,184 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { existsSync, readFileSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { config } from './config.js';
+import { ROLES } from './permissions.js';
+
+const HASH_SCHEME = 'sha256';
+
+/**
+ * Generate a new random API key
+ */
+export function generateApiKey() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Hash an API key with a random salt.
+ * Keys are 256-bit random values, so a salted SHA-256 is enough and keeps per-request checks cheap.
+ * @param {string} key - Plain API key
+ * @returns {string} "sha256$<salt>$<digest>"
+ */
+export function hashApiKey(key, salt = randomBytes(16).toString('base64url')) {
+  const digest = createHash('sha256').update(`${salt}:${key}`).digest('base64url');
+  return `${HASH_SCHEME}$${salt}$${digest}`;
+}
+
+/**
+ * Compare two strings in constant time (digests first, so lengths never leak)
+ */
+function constantTimeEquals(a, b) {
+  const left = createHash('sha256').update(a).digest();
+  const right = createHash('sha256').update(b).digest();
+  return timingSafeEqual(left, right);
+}
+
+/**
+ * Check a presented key against a stored entry (hash, or legacy plain key)
+ * @param {string} presented - Value of the X-API-Key header
+ * @param {Object} entry - Normalized key entry
+ */
+function matchesKey(presented, entry) {
+  if (entry.hash) {
+    const [, salt] = entry.hash.split('$');
+    return constantTimeEquals(hashApiKey(presented, salt), entry.hash);
+  }
+  return constantTimeEquals(presented, entry.key);
+}
+
+/**
+ * Validate and normalize one key entry from the keys file
+ * @param {Object} entry - { name, hash | key, role, collections, createdAt, revokedAt }
+ * @param {number} index - Position in the file, for error messages
+ */
+function normalizeKey(entry, index) {
+  if (!entry.name || !(entry.hash || entry.key)) {
+    throw new Error(`API key #${index + 1} in ${config.apiKeysFile} needs a name and a hash (or key)`);
+  }
+  if (entry.hash && !entry.hash.startsWith(`${HASH_SCHEME}$`)) {
+    throw new Error(`API key "${entry.name}" has an unsupported hash. Create it with: npm run keys -- hash <key>`);
+  }
+  if (!ROLES.includes(entry.role)) {
+    throw new Error(`API key "${entry.name}" has invalid role "${entry.role}". Expected one of: ${ROLES.join(', ')}`);
+  }
+  return {
+    name: entry.name,
+    hash: entry.hash,
+    key: entry.hash ? undefined : entry.key,
+    role: entry.role,
+    collections: entry.collections && !entry.collections.includes('*') ? entry.collections : null,
+    revoked: Boolean(entry.revokedAt),
+  };
+}
+
+/**
+ * Read the raw keys file ({ keys: [] } if it does not exist yet)
+ */
+export function readKeysFile() {
+  if (!existsSync(config.apiKeysFile)) {
+    return { keys: [] };
+  }
+  const file = JSON.parse(readFileSync(config.apiKeysFile, 'utf8'));
+  return { ...file, keys: file.keys || [] };
+}
+
+/**
+ * Write the keys file atomically, so the server never reads a half-written file
+ * @param {Object} file - { keys: [] }
+ */
+export function writeKeysFile(file) {
+  const tempFile = `${config.apiKeysFile}.tmp`;
+  writeFileSync(tempFile, `${JSON.stringify(file, null, 2)}\n`, { mode: 0o600 });
+  renameSync(tempFile, config.apiKeysFile);
+}
+
+/**
+ * Keys from the legacy single-key settings, treated as an admin key named "default"
+ */
+function defaultKeys() {
+  if (config.mcpApiKeyHash) {
+    return [normalizeKey({ name: 'default', hash: config.mcpApiKeyHash, role: 'admin' }, 0)];
+  }
+  if (config.mcpApiKey) {
+    return [normalizeKey({ name: 'default', key: config.mcpApiKey, role: 'admin' }, 0)];
+  }
+  return [];
+}
+
+// Keys file contents, reloaded when the file changes so revocations apply without a restart
+let fileKeys = [];
+let loadedMtime = null;
+
+/**
+ * Reload the keys file if it changed since the last load.
+ * A file that fails to parse keeps the previously loaded keys.
+ */
+function refreshFileKeys() {
+  if (!config.apiKeysFile) {
+    return;
+  }
+
+  const mtime = existsSync(config.apiKeysFile) ? statSync(config.apiKeysFile).mtimeMs : 0;
+  if (mtime === loadedMtime) {
+    return;
+  }
+
+  try {
+    fileKeys = readKeysFile().keys.map(normalizeKey);
+    loadedMtime = mtime;
+    console.error(`Loaded ${fileKeys.filter((entry) => !entry.revoked).length} active API key(s) from ${config.apiKeysFile}`);
+  } catch (error) {
+    if (loadedMtime === null) {
+      throw error;
+    }
+    console.error(`Ignoring invalid ${config.apiKeysFile}, keeping previous keys:`, error.message);
+  }
+}
+
+/**
+ * Load the keys file at startup, so an invalid file stops the server instead of the first request
+ */
+export function loadApiKeys() {
+  refreshFileKeys();
+}
+
+/**
+ * Whether any MCP API key is configured (if not, authentication is disabled)
+ */
+export function isAuthEnabled() {
+  return Boolean(config.apiKeysFile) || defaultKeys().length > 0;
+}
+
+/**
+ * Find the key record for a presented API key
+ * @param {string} presented - Value of the X-API-Key header
+ * @returns {Object|null} { name, role, collections } or null if unknown or revoked
+ */
+export function findApiKey(presented) {
+  refreshFileKeys();
+
+  // Check every entry so response time does not depend on which key matched
+  let match = null;
+  for (const entry of [...fileKeys, ...defaultKeys()]) {
+    if (matchesKey(presented, entry) && !match) {
+      match = entry;
+    }
+  }
+  if (!match || match.revoked) {
+    return null;
+  }
+  return { name: match.name, role: match.role, collections: match.collections };
+}
+
+/**
+ * Build the AuthInfo passed to MCP request handlers as extra.authInfo
+ * @param {string} token - Presented API key
+ * @param {Object} apiKey - Key record from findApiKey
+ */
+export function toAuthInfo(token, apiKey) {
+  return {
+    token,
+    clientId: apiKey.name,
+    scopes: [],
+    extra: { role: apiKey.role, collections: apiKey.collections, authType: 'key' },
+  };
+}
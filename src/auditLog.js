@@ -0,0 +1,155 @@
+import { join } from 'node:path';
+import { config } from './config.js';
+import { podsClient } from './podsClient.js';
+import { retailClient } from './retailClient.js';
+import { JsonlStore } from './jsonlStore.js';
+import { redactSecrets } from './redaction.js';
+
+const store = new JsonlStore(join(config.dataDir, 'audit.jsonl'));
+
+const DEFAULT_QUERY_LIMIT = 100;
+
+/**
+ * Tools that change data are audited; read-only tools are not
+ * @param {Object} tool - Registry tool definition
+ */
+export function isMutatingTool(tool) {
+  return tool.annotations?.readOnlyHint === false;
+}
+
+/**
+ * Identify the caller from MCP request context
+ * @param {Object} extra - MCP request handler extra
+ */
+export function callerIdentity(extra) {
+  if (extra?.authInfo?.clientId) {
+    return extra.authInfo.clientId;
+  }
+  // HTTP callers (MCP sessions and plain routes) without auth are anonymous; stdio has no requestInfo
+  return extra?.sessionId || extra?.requestInfo ? 'anonymous' : 'stdio';
+}
+
+/**
+ * Fetch the current record a tool call will change, or null if it does not exist
+ * @param {Object} target - { collection, number } | { keyword: true } | { customer }
+ */
+async function fetchTarget(target) {
+  if (!target) {
+    return null;
+  }
+  try {
+    if (target.keyword) {
+      return await podsClient.getPodKeyword();
+    }
+    if (target.customer !== undefined) {
+      return await retailClient.getCustomer(target.customer);
+    }
+    return await podsClient.getPodByNumber(target.collection, target.number);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a tool handler, recording an audit entry if the tool mutates data.
+ * Audit write failures are logged and never fail the tool call.
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ * @param {Object} extra - MCP request handler extra
+ * @param {Function} run - Executes the tool and returns its result
+ */
+export async function withAudit(tool, args, extra, run) {
+  if (!isMutatingTool(tool)) {
+    return run();
+  }
+
+  const target = tool.auditTarget ? tool.auditTarget(args) : null;
+  const before = await fetchTarget(target);
+
+  let result;
+  let failure;
+  try {
+    result = await run();
+    return result;
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const after = await fetchTarget(target);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      sessionId: extra?.sessionId || null,
+      apiKey: callerIdentity(extra),
+      tool: tool.name,
+      collection: target?.collection ?? args.collection ?? null,
+      number: target?.number ?? null,
+      args: redactSecrets(tool.auditArgs ? tool.auditArgs(args) : args),
+      before: redactSecrets(before),
+      after: redactSecrets(after),
+      result: failure
+        ? { ok: false, error: failure.message, code: failure.code }
+        : { ok: true, value: redactSecrets(result) },
+    };
+
+    try {
+      await store.append(entry);
+    } catch (error) {
+      console.error('Failed to write audit log entry:', error);
+    }
+  }
+}
+
+/**
+ * Record a read of unredacted secrets (reveal_pod_credentials, CSV export with reveal=true)
+ * @param {string} action - Name recorded as the entry's tool
+ * @param {Object} args - Request arguments
+ * @param {Object} extra - { authInfo, requestInfo }, as for tool calls
+ */
+export async function auditSecretAccess(action, args, extra) {
+  try {
+    await store.append({
+      timestamp: new Date().toISOString(),
+      sessionId: extra?.sessionId || null,
+      apiKey: callerIdentity(extra),
+      tool: action,
+      collection: args.collection ?? null,
+      number: args.number ?? null,
+      args: redactSecrets(args),
+      before: null,
+      after: null,
+      result: { ok: true },
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - { collection, number, tool, apiKey, since, until, limit }
+ */
+export async function queryAuditLog(filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const until = filters.until ? Date.parse(filters.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    throw new Error('since and until must be ISO 8601 dates');
+  }
+  const limit = filters.limit || DEFAULT_QUERY_LIMIT;
+
+  const entries = (await store.readAll()).filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (filters.collection === undefined || entry.collection === filters.collection)
+      && (filters.number === undefined || entry.number === filters.number)
+      && (filters.tool === undefined || entry.tool === filters.tool)
+      && (filters.apiKey === undefined || entry.apiKey === filters.apiKey)
+      && (since === null || time >= since)
+      && (until === null || time <= until);
+  });
+
+  entries.reverse();
+  return {
+    total: entries.length,
+    count: Math.min(entries.length, limit),
+    entries: entries.slice(0, limit),
+  };
+}
@@ -0,0 +1,244 @@
+import { constants, createPublicKey, verify } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { InsufficientScopeError, InvalidTokenError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
+import { getOAuthProtectedResourceMetadataUrl } from '@modelcontextprotocol/sdk/server/auth/router.js';
+import { config } from './config.js';
+import { UpstreamUnavailableError } from './errors.js';
+import { ROLES } from './permissions.js';
+
+// Cached JWKS from OAUTH_JWKS_URL is refetched after this long, or sooner for an unknown kid
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_REFETCH_MIN_MS = 30 * 1000;
+const JWKS_FETCH_TIMEOUT_MS = 5 * 1000;
+
+// Allowed clock skew for exp/nbf checks
+const CLOCK_SKEW_SECONDS = 60;
+
+// Supported JWS algorithms: digest, and how the signature is checked
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { digest: 'sha384', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { digest: 'sha512', padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { digest: null },
+};
+
+/**
+ * Whether inbound bearer tokens are accepted (issuer, audience and a JWKS source are configured)
+ */
+export function isOAuthEnabled() {
+  const { issuer, audience, jwksFile, jwksUrl } = config.oauth;
+  return Boolean(issuer && audience && (jwksFile || jwksUrl));
+}
+
+/**
+ * Public URL of the MCP endpoint, used as the OAuth resource identifier
+ */
+function resourceUrl() {
+  return config.oauth.resourceUrl || `http://localhost:${config.serverPort}${config.serverPath}/mcp`;
+}
+
+/**
+ * URL of the protected-resource metadata document (RFC 9728)
+ */
+export function protectedResourceMetadataUrl() {
+  return getOAuthProtectedResourceMetadataUrl(new URL(resourceUrl()));
+}
+
+/**
+ * Path the metadata document is served on
+ */
+export function protectedResourceMetadataPath() {
+  return new URL(protectedResourceMetadataUrl()).pathname;
+}
+
+/**
+ * Protected-resource metadata document (RFC 9728)
+ */
+export function protectedResourceMetadata() {
+  return {
+    resource: resourceUrl(),
+    authorization_servers: [config.oauth.issuer],
+    scopes_supported: Object.values(config.oauth.scopes),
+    bearer_methods_supported: ['header'],
+    resource_name: 'Cisco MCP Pods Server',
+  };
+}
+
+let jwksCache = null;
+let jwksFetchedAt = 0;
+
+/**
+ * Load the JWKS from OAUTH_JWKS_FILE, or fetch (and cache) it from OAUTH_JWKS_URL
+ * @param {boolean} forceRefresh - Refetch a cached URL JWKS (e.g. for a kid it does not contain)
+ */
+async function getJwks(forceRefresh = false) {
+  if (config.oauth.jwksFile) {
+    jwksCache ||= JSON.parse(readFileSync(config.oauth.jwksFile, 'utf8'));
+    return jwksCache;
+  }
+
+  const age = Date.now() - jwksFetchedAt;
+  if (jwksCache && age < JWKS_CACHE_MS && !(forceRefresh && age >= JWKS_REFETCH_MIN_MS)) {
+    return jwksCache;
+  }
+
+  let jwks;
+  try {
+    const response = await fetch(config.oauth.jwksUrl, { signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    jwks = await response.json();
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${JWKS_FETCH_TIMEOUT_MS}ms` : error.message;
+    // A refetch for an unknown kid falls back to the unexpired cache, so the kid is reported as unknown
+    if (jwksCache && age < JWKS_CACHE_MS) {
+      console.error(`Failed to refresh JWKS from ${config.oauth.jwksUrl}: ${reason}`);
+      return jwksCache;
+    }
+    throw new UpstreamUnavailableError(`Failed to fetch JWKS from ${config.oauth.jwksUrl}: ${reason}`, {
+      method: 'GET',
+      url: config.oauth.jwksUrl,
+      cause: error,
+    });
+  }
+
+  jwksCache = jwks;
+  jwksFetchedAt = Date.now();
+  return jwksCache;
+}
+
+/**
+ * Load the JWKS before a bearer token is verified, so an unreachable JWKS endpoint
+ * can be answered with 503 rather than the SDK middleware's 500
+ */
+export async function loadJwks() {
+  await getJwks();
+}
+
+/**
+ * Find the signing key for a token header
+ * @param {Object} header - Decoded JWS header
+ */
+async function findSigningKey(header) {
+  const pick = (jwks) => (jwks.keys || []).find((jwk) =>
+    (header.kid ? jwk.kid === header.kid : true) && (!jwk.alg || jwk.alg === header.alg) && jwk.use !== 'enc'
+  );
+
+  const jwk = pick(await getJwks()) || (header.kid && pick(await getJwks(true)));
+  if (!jwk) {
+    throw new InvalidTokenError(`No signing key found for kid "${header.kid || ''}"`);
+  }
+  return createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Decode one base64url JSON segment of a JWT
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidTokenError('Malformed token');
+  }
+}
+
+/**
+ * Verify a JWT's signature and registered claims, returning its payload
+ * @param {string} token - Compact JWS
+ */
+async function verifyJwt(token) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new InvalidTokenError('Malformed token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  const header = decodeSegment(headerSegment);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new InvalidTokenError(`Unsupported token algorithm "${header.alg}"`);
+  }
+
+  const key = await findSigningKey(header);
+  const { digest, ...options } = algorithm;
+  let valid;
+  try {
+    valid = verify(
+      digest,
+      Buffer.from(`${headerSegment}.${payloadSegment}`),
+      { key, ...options },
+      Buffer.from(signatureSegment, 'base64url')
+    );
+  } catch {
+    // Key type does not match the algorithm
+    valid = false;
+  }
+  if (!valid) {
+    throw new InvalidTokenError('Invalid token signature');
+  }
+
+  const payload = decodeSegment(payloadSegment);
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (payload.iss !== config.oauth.issuer) {
+    throw new InvalidTokenError('Token issuer is not trusted');
+  }
+  if (!audiences.includes(config.oauth.audience)) {
+    throw new InvalidTokenError('Token audience does not match this server');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new InvalidTokenError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new InvalidTokenError('Token is not valid yet');
+  }
+  return payload;
+}
+
+/**
+ * Map granted scopes to the most privileged API key role they carry
+ * @param {Array<string>} scopes - Granted scopes
+ */
+function roleForScopes(scopes) {
+  return [...ROLES].reverse().find((role) => scopes.includes(config.oauth.scopes[role])) || null;
+}
+
+/**
+ * Token verifier for the SDK's requireBearerAuth middleware.
+ * The resulting AuthInfo carries the same role/collections shape as scoped API keys.
+ */
+export const bearerTokenVerifier = {
+  async verifyAccessToken(token) {
+    const payload = await verifyJwt(token);
+    const scopes = typeof payload.scope === 'string'
+      ? payload.scope.split(' ').filter(Boolean)
+      : payload.scp || [];
+
+    const role = roleForScopes(scopes);
+    if (!role) {
+      throw new InsufficientScopeError(`Token needs one of the scopes: ${Object.values(config.oauth.scopes).join(', ')}`);
+    }
+
+    return {
+      token,
+      clientId: payload.client_id || payload.azp || payload.sub,
+      scopes,
+      // Clock skew is allowed above; the SDK middleware rejects exp in the past outright
+      expiresAt: Math.max(payload.exp, Math.floor(Date.now() / 1000)),
+      extra: {
+        role,
+        collections: Array.isArray(payload.collections) && !payload.collections.includes('*') ? payload.collections : null,
+        subject: payload.sub,
+        authType: 'oauth',
+      },
+    };
+  },
+};
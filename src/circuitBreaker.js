@@ -0,0 +1,128 @@
+import { config } from './config.js';
+import { CircuitOpenError } from './errors.js';
+
+/**
+ * Circuit breaker for one upstream service.
+ * closed: requests flow; consecutive failures are counted.
+ * open: requests fail fast with CircuitOpenError until the next probe is due.
+ * half-open: one probe request is let through; success closes the circuit, failure reopens it
+ * with a doubled wait (up to the configured maximum).
+ */
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.resetTimeoutMs = config.circuitBreaker.resetTimeoutMs;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Check whether a request may go out; throws CircuitOpenError when failing fast
+   */
+  beforeRequest() {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    if (this.state === 'open' && Date.now() >= this.nextProbeAt) {
+      this.state = 'half-open';
+      console.error(`Circuit for ${this.name} half-open: probing`);
+    }
+
+    if (this.state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return;
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil((this.nextProbeAt - Date.now()) / 1000));
+    throw new CircuitOpenError(
+      `${this.name} is unavailable (circuit open after ${this.failures} consecutive failures); failing fast`,
+      { retryAfterSeconds, circuit: this.getStatus() }
+    );
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.error(`Circuit for ${this.name} closed: upstream recovered`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.resetTimeoutMs = config.circuitBreaker.resetTimeoutMs;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * @param {string} reason - Failure description, kept for status reporting
+   */
+  recordFailure(reason) {
+    this.failures++;
+    this.lastError = { message: reason, at: new Date().toISOString() };
+
+    if (this.state === 'half-open') {
+      this.resetTimeoutMs = Math.min(this.resetTimeoutMs * 2, config.circuitBreaker.maxResetTimeoutMs);
+      this.open();
+    } else if (this.state === 'closed' && this.failures >= config.circuitBreaker.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * A request ended without telling us anything about the upstream (e.g. cancelled by the caller)
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.nextProbeAt = this.openedAt + this.resetTimeoutMs;
+    this.probeInFlight = false;
+    console.error(`Circuit for ${this.name} open: next probe in ${this.resetTimeoutMs}ms (${this.lastError?.message})`);
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.nextProbeAt ? new Date(this.nextProbeAt).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// One breaker per upstream origin (API Gateway, token endpoint)
+const breakers = new Map();
+
+/**
+ * Get the circuit breaker for a request URL
+ * @param {string} url - Request URL
+ */
+export function breakerFor(url) {
+  const { origin } = new URL(url);
+  if (!breakers.has(origin)) {
+    breakers.set(origin, new CircuitBreaker(origin === new URL(config.apiBaseUrl).origin ? 'API Gateway' : origin));
+  }
+  return breakers.get(origin);
+}
+
+/**
+ * Circuit status for the API Gateway, for health and configuration reporting
+ */
+export function getGatewayStatus() {
+  return breakerFor(config.apiBaseUrl).getStatus();
+}
+
+/**
+ * Connection status label for configuration resources
+ */
+export function getGatewayStatusLabel() {
+  return { closed: 'Connected', 'half-open': 'Recovering', open: 'Unavailable' }[getGatewayStatus().state];
+}
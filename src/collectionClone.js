@@ -0,0 +1,119 @@
+import { podsClient } from './podsClient.js';
+import { ValidationError } from './errors.js';
+import { podFields } from './podSchema.js';
+import { getPodErrors } from './podValidation.js';
+import { createPasswordSupplier, PASSWORD_SOURCES } from './podRelease.js';
+
+export const CLONE_PASSWORD_SOURCES = ['keep', ...PASSWORD_SOURCES];
+
+/**
+ * Copy a source pod into a new record for the target collection
+ * @param {Object} pod - Source pod
+ * @param {Object} transforms - { resetStatus, numberOffset }
+ * @param {Function|null} nextPassword - Password supplier, or null to keep passwords
+ */
+function transformPod(pod, transforms, nextPassword) {
+  // Only pod fields are copied; gateway ids and assignment fields stay behind
+  const clone = Object.fromEntries(podFields.filter((field) => pod[field] !== undefined).map((field) => [field, pod[field]]));
+
+  if (transforms.numberOffset) {
+    clone.Number = pod.Number + transforms.numberOffset;
+    // Pod names like "Pod7" follow the new number
+    if (typeof pod.POD === 'string' && pod.POD.endsWith(String(pod.Number))) {
+      clone.POD = `${pod.POD.slice(0, -String(pod.Number).length)}${clone.Number}`;
+    }
+  }
+
+  if (transforms.resetStatus) {
+    clone.Status = 'unassigned';
+    delete clone['Test Date'];
+    delete clone['Test Status'];
+  }
+
+  if (nextPassword) {
+    const password = nextPassword();
+    clone.Password = password;
+    clone.CRMPassword = password;
+  }
+
+  return clone;
+}
+
+/**
+ * Clone every pod of a source collection into a target collection.
+ * With dryRun (the default) nothing is written and the planned pods are returned.
+ * @param {string} source - Source collection name
+ * @param {string} target - Target collection name
+ * @param {Object} options - { resetStatus, passwordSource, numberOffset, dryRun }
+ */
+export async function cloneCollection(source, target, options = {}) {
+  if (source === target) {
+    throw new Error('Source and target collections must be different');
+  }
+  const passwordSource = options.passwordSource || 'keep';
+  if (!CLONE_PASSWORD_SOURCES.includes(passwordSource)) {
+    throw new Error(`Invalid passwordSource "${passwordSource}". Expected one of: ${CLONE_PASSWORD_SOURCES.join(', ')}`);
+  }
+  const numberOffset = options.numberOffset || 0;
+  if (!Number.isInteger(numberOffset)) {
+    throw new Error('numberOffset must be an integer');
+  }
+
+  const dryRun = options.dryRun !== false;
+  const nextPassword = passwordSource === 'keep' ? null : await createPasswordSupplier(passwordSource);
+  const transforms = { resetStatus: options.resetStatus !== false, numberOffset };
+
+  const [sourcePods, targetPods] = await Promise.all([
+    podsClient.getAllPods(source),
+    podsClient.getAllPods(target),
+  ]);
+  const existingNumbers = new Set(targetPods.map((pod) => pod.Number));
+
+  const planned = [...sourcePods]
+    .sort((a, b) => a.Number - b.Number)
+    .map((pod) => ({ sourceNumber: pod.Number, pod: transformPod(pod, transforms, nextPassword) }));
+
+  const fieldErrors = planned.flatMap(({ sourceNumber, pod }) =>
+    getPodErrors(pod).map((error) => ({ ...error, sourceNumber })));
+  if (fieldErrors.length > 0) {
+    throw new ValidationError(`Cloned pods would be invalid: ${fieldErrors.length} field error(s)`, fieldErrors.slice(0, 50));
+  }
+
+  const summary = { source, target, dryRun, transforms: { ...transforms, passwordSource } };
+
+  if (dryRun) {
+    return {
+      ...summary,
+      toCreate: planned.filter(({ pod }) => !existingNumbers.has(pod.Number)).length,
+      toSkip: planned.filter(({ pod }) => existingNumbers.has(pod.Number)).length,
+      preview: planned.map(({ sourceNumber, pod }) => ({
+        sourceNumber,
+        action: existingNumbers.has(pod.Number) ? 'skip' : 'create',
+        pod,
+      })),
+      message: 'Dry run only. Call again with dryRun: false to create these pods.',
+    };
+  }
+
+  const results = [];
+  for (const { sourceNumber, pod } of planned) {
+    if (existingNumbers.has(pod.Number)) {
+      results.push({ sourceNumber, Number: pod.Number, status: 'skipped', reason: 'Pod already exists in target' });
+      continue;
+    }
+    try {
+      await podsClient.createPod(target, pod);
+      results.push({ sourceNumber, Number: pod.Number, status: 'created' });
+    } catch (error) {
+      results.push({ sourceNumber, Number: pod.Number, status: 'failed', error: error.message, code: error.code });
+    }
+  }
+
+  return {
+    ...summary,
+    created: results.filter((r) => r.status === 'created').length,
+    skipped: results.filter((r) => r.status === 'skipped').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    results,
+  };
+}
@@ -0,0 +1,93 @@
+import { podsClient } from './podsClient.js';
+import { diffRecords } from './diff.js';
+import { loadSnapshot } from './snapshots.js';
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+/**
+ * Load pods for one side of a diff: a live collection or a saved snapshot
+ * @param {string} spec - Collection name, or 'snapshot:<name>'
+ */
+async function loadSide(spec) {
+  if (spec.startsWith(SNAPSHOT_PREFIX)) {
+    const name = spec.slice(SNAPSHOT_PREFIX.length);
+    const snapshot = await loadSnapshot(name);
+    return { source: spec, collection: snapshot.collection, takenAt: snapshot.takenAt, pods: snapshot.pods };
+  }
+  return { source: spec, collection: spec, takenAt: new Date().toISOString(), pods: await podsClient.getAllPods(spec) };
+}
+
+/**
+ * Drop fields that should not count as differences (gateway ids and anything listed)
+ * @param {Object} pod - Pod record
+ * @param {Array<string>} ignoreFields - Extra field names to ignore
+ */
+function comparable(pod, ignoreFields) {
+  return Object.fromEntries(Object.entries(pod).filter(([field]) => !field.startsWith('_') && !ignoreFields.includes(field)));
+}
+
+/**
+ * Compare two sets of pods matched by Number
+ * @param {Array<Object>} leftPods - Pods on the left (older) side
+ * @param {Array<Object>} rightPods - Pods on the right (newer) side
+ * @param {Array<string>} ignoreFields - Field names to leave out of the comparison
+ */
+export function diffPods(leftPods, rightPods, ignoreFields = []) {
+  const left = new Map(leftPods.map((pod) => [pod.Number, pod]));
+  const right = new Map(rightPods.map((pod) => [pod.Number, pod]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [number, pod] of right) {
+    if (!left.has(number)) {
+      added.push(pod);
+    }
+  }
+
+  for (const [number, pod] of left) {
+    if (!right.has(number)) {
+      removed.push(pod);
+      continue;
+    }
+    const changes = diffRecords(comparable(pod, ignoreFields), comparable(right.get(number), ignoreFields));
+    if (Object.keys(changes).length > 0) {
+      changed.push({ Number: number, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const byNumber = (a, b) => a.Number - b.Number;
+  return {
+    added: added.sort(byNumber),
+    removed: removed.sort(byNumber),
+    changed: changed.sort(byNumber),
+    unchanged,
+  };
+}
+
+/**
+ * Diff two collections or snapshots
+ * @param {string} leftSpec - Collection name or 'snapshot:<name>'
+ * @param {string} rightSpec - Collection name or 'snapshot:<name>'
+ * @param {Object} options - { ignoreFields }
+ */
+export async function diffCollections(leftSpec, rightSpec, options = {}) {
+  const [left, right] = await Promise.all([loadSide(leftSpec), loadSide(rightSpec)]);
+  const diff = diffPods(left.pods, right.pods, options.ignoreFields || []);
+
+  return {
+    left: { source: left.source, collection: left.collection, takenAt: left.takenAt, count: left.pods.length },
+    right: { source: right.source, collection: right.collection, takenAt: right.takenAt, count: right.pods.length },
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length,
+      unchanged: diff.unchanged,
+    },
+    ...diff,
+  };
+}
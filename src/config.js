@@ -9,14 +9,96 @@ const __dirname = dirname(__filename);
 // Load environment variables from the project root
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
+/**
+ * Read a non-negative integer setting where 0 is meaningful (so `|| default` cannot be used).
+ * Unset values use the default; invalid ones do too, with a warning, rather than becoming NaN.
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ */
+function nonNegativeInt(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`Warning: ${name}="${raw}" is not a non-negative integer; using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
 export const config = {
   apiBaseUrl: process.env.API_BASE_URL || 'http://apigateway.cxocoe.us',
   authMode: process.env.AUTH_MODE || 'apikey',
   apiKeyPods: process.env.API_KEY_PODS,
   jwtToken: process.env.JWT_TOKEN,
+  // OAuth client credentials for fetching API Gateway tokens in AUTH_MODE=jwt (replaces JWT_TOKEN)
+  gatewayToken: {
+    tokenUrl: process.env.GATEWAY_TOKEN_URL,
+    clientId: process.env.GATEWAY_CLIENT_ID,
+    clientSecret: process.env.GATEWAY_CLIENT_SECRET,
+    scope: process.env.GATEWAY_TOKEN_SCOPE,
+    audience: process.env.GATEWAY_TOKEN_AUDIENCE,
+    refreshMarginSeconds: nonNegativeInt('GATEWAY_TOKEN_REFRESH_MARGIN', 60),
+  },
+  // Outbound API Gateway requests: per-attempt timeout and retries (idempotent methods only)
+  gatewayRequests: {
+    timeoutMs: parseInt(process.env.GATEWAY_TIMEOUT_MS) || 15000,
+    retries: nonNegativeInt('GATEWAY_RETRIES', 3),
+    retryBaseMs: parseInt(process.env.GATEWAY_RETRY_BASE_MS) || 250,
+    retryMaxMs: parseInt(process.env.GATEWAY_RETRY_MAX_MS) || 5000,
+    maxRetryAfterMs: parseInt(process.env.GATEWAY_MAX_RETRY_AFTER_MS) || 30000,
+  },
+  // Circuit breaker around upstream services: opens after consecutive failures, then probes
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_MS) || 30000,
+    maxResetTimeoutMs: parseInt(process.env.CIRCUIT_MAX_RESET_TIMEOUT_MS) || 300000,
+  },
   serverPort: parseInt(process.env.SERVER_PORT) || 1013,
   serverPath: process.env.SERVER_PATH || '/CiscoMCPPods',
   mcpApiKey: process.env.MCP_API_KEY,
+  mcpApiKeyHash: process.env.MCP_API_KEY_HASH,
+  // Inbound OAuth bearer tokens (JWTs) for the Streamable HTTP server
+  oauth: {
+    issuer: process.env.OAUTH_ISSUER,
+    audience: process.env.OAUTH_AUDIENCE,
+    jwksFile: process.env.OAUTH_JWKS_FILE,
+    jwksUrl: process.env.OAUTH_JWKS_URL,
+    resourceUrl: process.env.OAUTH_RESOURCE_URL,
+    // Scope granting each API key role
+    scopes: {
+      'read-only': process.env.OAUTH_SCOPE_READ || 'pods:read',
+      proctor: process.env.OAUTH_SCOPE_PROCTOR || 'pods:proctor',
+      admin: process.env.OAUTH_SCOPE_ADMIN || 'pods:admin',
+    },
+  },
+  apiKeysFile: process.env.MCP_API_KEYS_FILE,
+  dryRun: process.env.DRY_RUN === 'true',
+  confirmTools: (process.env.CONFIRM_TOOLS ?? 'delete_pod,update_pod_keyword,rotate_keyword,release_all_pods,delete_customer')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  // Tool calls per minute (token buckets); 0 disables a limit
+  rateLimits: {
+    perKey: nonNegativeInt('RATE_LIMIT_PER_KEY', 120),
+    perSession: nonNegativeInt('RATE_LIMIT_PER_SESSION', 60),
+    perTool: nonNegativeInt('RATE_LIMIT_PER_TOOL', 30),
+    perMutatingTool: nonNegativeInt('RATE_LIMIT_PER_MUTATING_TOOL', 10),
+  },
+  elicitationTimeoutMs: parseInt(process.env.ELICITATION_TIMEOUT_MS) || 120000,
+  dataDir: process.env.DATA_DIR || join(__dirname, '..', 'data'),
+  trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+  podStatuses: (process.env.POD_STATUSES || 'unassigned,assigned')
+    .split(',')
+    .map((status) => status.trim())
+    .filter(Boolean),
+  redactionPolicyFile: process.env.REDACTION_POLICY_FILE,
+  passwordPolicy: {
+    length: parseInt(process.env.PASSWORD_LENGTH) || 12,
+    symbols: process.env.PASSWORD_SYMBOLS ?? '!@#$%*',
+  },
 };
 
 // Validate configuration
@@ -24,10 +106,14 @@ if (config.authMode === 'apikey' && !config.apiKeyPods) {
   console.error('Warning: API_KEY_PODS is not configured in .env file');
 }
 
-if (config.authMode === 'jwt' && !config.jwtToken) {
-  console.error('Warning: JWT_TOKEN is not configured in .env file');
+if (config.authMode === 'jwt' && !config.jwtToken && !config.gatewayToken.tokenUrl) {
+  console.error('Warning: neither JWT_TOKEN nor GATEWAY_TOKEN_URL is configured in .env file');
+}
+
+if (config.gatewayToken.tokenUrl && !(config.gatewayToken.clientId && config.gatewayToken.clientSecret)) {
+  console.error('Warning: GATEWAY_TOKEN_URL is set but GATEWAY_CLIENT_ID or GATEWAY_CLIENT_SECRET is missing');
 }
 
-if (!config.mcpApiKey) {
-  console.error('Warning: MCP_API_KEY is not configured in .env file - MCP server authentication will be disabled');
+if (!config.mcpApiKey && !config.mcpApiKeyHash && !config.apiKeysFile && !config.oauth.issuer) {
+  console.error('Warning: none of MCP_API_KEY, MCP_API_KEY_HASH, MCP_API_KEYS_FILE or OAUTH_ISSUER is configured in .env file - MCP server authentication will be disabled');
 }
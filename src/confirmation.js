@@ -0,0 +1,166 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { config } from './config.js';
+import { redact, resolveRole } from './redaction.js';
+
+const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// confirmToken -> { tool, argsHash, sessionId, expiresAt }
+const pendingConfirmations = new Map();
+
+const confirmTokenProperty = {
+  type: 'string',
+  description: 'Token from a previous confirmationRequired response, sent after the user has confirmed',
+};
+
+/**
+ * Check whether calls to a tool must be confirmed by the user
+ * @param {Object} tool - Registry tool definition
+ */
+export function requiresConfirmation(tool) {
+  return config.confirmTools.includes(tool.name);
+}
+
+/**
+ * Add the confirmToken argument to the input schema of tools that require confirmation
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} inputSchema - Schema to extend
+ */
+export function inputSchemaWithConfirmToken(tool, inputSchema) {
+  if (!requiresConfirmation(tool)) {
+    return inputSchema;
+  }
+  return {
+    ...inputSchema,
+    properties: { ...inputSchema.properties, confirmToken: confirmTokenProperty },
+  };
+}
+
+/**
+ * Copy a value with object keys sorted at every level, so equal arguments serialize identically
+ * @param {*} value - Value to canonicalize
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalize(value[key])]));
+}
+
+/**
+ * Stable hash of tool arguments so a token only confirms the exact call it was issued for
+ * @param {Object} args - Tool arguments without confirmToken
+ */
+function hashArgs(args) {
+  const canonical = JSON.stringify(canonicalize(args));
+  return createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Drop expired tokens
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Ask the user to confirm through MCP elicitation, on the stream of the tool call being confirmed
+ * @param {Server} server - MCP server instance
+ * @param {string} message - Prompt shown to the user
+ * @param {Object} extra - MCP request handler extra
+ */
+async function elicitConfirmation(server, message, extra) {
+  const result = await server.elicitInput(
+    {
+      message,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: {
+            type: 'boolean',
+            title: 'Confirm',
+            description: 'Proceed with this change',
+          },
+        },
+        required: ['confirm'],
+      },
+    },
+    { timeout: config.elicitationTimeoutMs, relatedRequestId: extra?.requestId }
+  );
+  return result.action === 'accept' && result.content?.confirm === true;
+}
+
+/**
+ * Gate a tool call behind user confirmation.
+ * Clients that support elicitation are asked directly; others get a
+ * confirmToken to send back on a second call once the user agrees.
+ * @param {Server} server - MCP server instance
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ * @param {Object} extra - MCP request handler extra
+ * @param {Object} options - { elicitation: false } when the transport's responses cannot carry an elicitation request
+ * @returns {Object} { confirmed: true, args } or { confirmed: false, response }
+ */
+export async function confirmToolCall(server, tool, args, extra, options = {}) {
+  const { confirmToken, ...callArgs } = args;
+  const argsHash = hashArgs(callArgs);
+  const sessionId = extra?.sessionId || null;
+  pruneExpired();
+
+  if (confirmToken) {
+    const pending = pendingConfirmations.get(confirmToken);
+    if (!pending || pending.tool !== tool.name || pending.argsHash !== argsHash || pending.sessionId !== sessionId) {
+      throw new Error('Invalid or expired confirmToken. Call the tool again without confirmToken to get a new one.');
+    }
+    pendingConfirmations.delete(confirmToken);
+    return { confirmed: true, args: callArgs };
+  }
+
+  // Show the caller the record that will be affected and any other preview details, redacted for their role
+  const { before: record = null, after: _after, ...details } = tool.preview ? await tool.preview(callArgs, extra) : {};
+  const role = resolveRole(extra);
+  const visibleRecord = redact(record, role);
+  const visibleDetails = Object.keys(details).length > 0 ? redact(details, role) : null;
+  let message = `Confirm ${tool.name} with ${JSON.stringify(callArgs)}.\nAffected record:\n${JSON.stringify(visibleRecord, null, 2)}`;
+  if (visibleDetails) {
+    message += `\nDetails:\n${JSON.stringify(visibleDetails, null, 2)}`;
+  }
+
+  if (options.elicitation !== false && server.getClientCapabilities()?.elicitation) {
+    try {
+      if (await elicitConfirmation(server, message, extra)) {
+        return { confirmed: true, args: callArgs };
+      }
+      return {
+        confirmed: false,
+        response: { cancelled: true, tool: tool.name, message: 'The user did not confirm; nothing was changed.' },
+      };
+    } catch (error) {
+      console.error(`Elicitation failed for ${tool.name}, falling back to confirm token:`, error.message);
+    }
+  }
+
+  const token = randomUUID();
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  pendingConfirmations.set(token, { tool: tool.name, argsHash, sessionId, expiresAt });
+
+  return {
+    confirmed: false,
+    response: {
+      confirmationRequired: true,
+      tool: tool.name,
+      record: visibleRecord,
+      ...(visibleDetails && { details: visibleDetails }),
+      confirmToken: token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      message: 'Nothing was changed. Show the record to the user and, once they confirm, call the tool again with the same arguments plus confirmToken.',
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer
+ * Handles quoted fields, escaped quotes, embedded commas and newlines
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text - CSV text
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Quote a single CSV value when needed
+ * @param {*} value - Field value
+ */
+function formatCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values) to CSV text
+ * @param {Array<Array>} rows - Rows including the header row
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
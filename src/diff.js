@@ -0,0 +1,20 @@
+/**
+ * Field-level comparison of two records
+ * @param {Object} before - Record before the change (or null)
+ * @param {Object} after - Record after the change (or null)
+ * @returns {Object} Map of field name to { before, after } for every field that differs
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+}
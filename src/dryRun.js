@@ -0,0 +1,81 @@
+import { config } from './config.js';
+import { diffRecords } from './diff.js';
+import { isMutatingTool } from './auditLog.js';
+
+const dryRunProperty = {
+  type: 'boolean',
+  description: 'Validate and preview the change against current data without applying it (default: false)',
+  default: false,
+};
+
+/**
+ * Decide whether a tool call should run as a dry run.
+ * Tools that handle dryRun themselves (clone_collection) preview unless dryRun is false.
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ */
+export function isDryRun(tool, args) {
+  const requested = tool.handlesDryRun ? args.dryRun !== false : args.dryRun === true;
+  return isMutatingTool(tool) && (config.dryRun || requested);
+}
+
+/**
+ * Add the dryRun argument to the input schema of tools that support previews
+ * @param {Object} tool - Registry tool definition
+ */
+export function inputSchemaWithDryRun(tool) {
+  if (!tool.preview || tool.inputSchema.properties?.dryRun) {
+    return tool.inputSchema;
+  }
+  return {
+    ...tool.inputSchema,
+    properties: { ...tool.inputSchema.properties, dryRun: dryRunProperty },
+  };
+}
+
+/**
+ * Remove the dryRun argument before it reaches a handler that does not expect it
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ */
+export function withoutDryRun(tool, args) {
+  if (tool.handlesDryRun || args.dryRun === undefined) {
+    return args;
+  }
+  const { dryRun: _dryRun, ...rest } = args;
+  return rest;
+}
+
+/**
+ * Refuse a dry run of a tool that cannot preview (e.g. release_pod under DRY_RUN)
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ */
+export function assertDryRunSupported(tool, args) {
+  if (isDryRun(tool, args) && !tool.handlesDryRun && !tool.preview) {
+    throw new Error(`${tool.name} does not support dry-run${config.dryRun ? ' and the server is running with DRY_RUN enabled' : ''}`);
+  }
+}
+
+/**
+ * Compute the preview for a mutating tool without calling any mutating client method
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ * @param {Object} extra - MCP request handler extra
+ */
+export async function runDryRun(tool, args, extra) {
+  if (tool.handlesDryRun) {
+    return tool.handler({ ...args, dryRun: true }, extra);
+  }
+  assertDryRunSupported(tool, args);
+
+  const { before = null, after = null, ...details } = await tool.preview(withoutDryRun(tool, args), extra);
+  return {
+    dryRun: true,
+    tool: tool.name,
+    ...details,
+    before,
+    after,
+    changes: diffRecords(before, after),
+  };
+}
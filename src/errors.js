@@ -0,0 +1,150 @@
+/**
+ * Input failed validation before any API request was made.
+ * fieldErrors is a list of { field, message, value } the caller can correct.
+ */
+export class ValidationError extends Error {
+  constructor(message, fieldErrors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_FAILED';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * The caller's API key is not allowed to use a tool, resource or collection.
+ */
+export class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionError';
+    this.code = 'PERMISSION_DENIED';
+  }
+}
+
+/**
+ * An API Gateway request failed.
+ * Keeps the HTTP status, parsed response body and request ID (null when there was no response).
+ * Subclasses classify the failure; code is the machine-readable value returned to MCP clients.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, requestId = null, method, url, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.code = 'API_ERROR';
+    this.status = status;
+    this.body = body;
+    this.requestId = requestId;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * The record does not exist (HTTP 404, or a local lookup that found nothing)
+ */
+export class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+    this.code = 'NOT_FOUND';
+  }
+}
+
+/**
+ * The record already exists or conflicts with its current state (HTTP 409)
+ */
+export class ConflictError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+    this.code = 'CONFLICT';
+  }
+}
+
+/**
+ * The API Gateway rejected the input (HTTP 400/422).
+ * fieldErrors is set when the gateway returned a list of { field, message }.
+ */
+export class ApiValidationError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ApiValidationError';
+    this.code = 'VALIDATION_FAILED';
+    if (Array.isArray(details.body?.errors) && details.body.errors.every((entry) => entry?.field)) {
+      this.fieldErrors = details.body.errors.map(({ field, message: fieldMessage }) => ({ field, message: fieldMessage }));
+    }
+  }
+}
+
+/**
+ * The API Gateway rejected this server's credentials (HTTP 401/403)
+ */
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+    this.code = 'AUTH_FAILED';
+  }
+}
+
+/**
+ * The API Gateway could not be reached or is failing (network error, timeout, HTTP 429/5xx)
+ */
+export class UpstreamUnavailableError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'UpstreamUnavailableError';
+    this.code = 'UPSTREAM_UNAVAILABLE';
+    this.retryAfterSeconds = details.retryAfterSeconds ?? null;
+  }
+}
+
+/**
+ * An upstream service is failing, so requests to it fail fast until the circuit breaker's next probe.
+ */
+export class CircuitOpenError extends UpstreamUnavailableError {
+  constructor(message, { retryAfterSeconds, circuit }) {
+    super(message, { retryAfterSeconds });
+    this.name = 'CircuitOpenError';
+    this.circuit = circuit;
+  }
+}
+
+/**
+ * Build the ApiError subclass for a failed API Gateway response
+ * @param {Response} response - fetch response
+ * @param {*} body - Parsed JSON body, raw text for non-JSON bodies, or null if empty
+ * @param {Object} request - { method, url }
+ */
+export function apiErrorFromResponse(response, body, { method, url }) {
+  const { status } = response;
+  const bodyMessage = body && typeof body === 'object' ? body.message || body.error : null;
+  const message = bodyMessage || `API request failed with status ${status}`;
+  const retryAfter = Number(response.headers.get('retry-after'));
+  const details = {
+    status,
+    body,
+    requestId: response.headers.get('x-request-id') || response.headers.get('x-correlation-id'),
+    method,
+    url,
+    retryAfterSeconds: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+  };
+
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (status === 409) {
+    return new ConflictError(message, details);
+  }
+  if (status === 400 || status === 422) {
+    return new ApiValidationError(message, details);
+  }
+  if (status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+  if (status === 429 || status >= 500) {
+    return new UpstreamUnavailableError(message, details);
+  }
+  return new ApiError(message, details);
+}
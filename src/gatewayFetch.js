@@ -0,0 +1,179 @@
+import { config } from './config.js';
+import { currentSignal } from './requestContext.js';
+import { breakerFor } from './circuitBreaker.js';
+import { UpstreamUnavailableError } from './errors.js';
+
+// Methods that are safe to send again after a failure
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+/**
+ * Whether a response status is worth retrying
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ * @param {string|null} header - Retry-After header value
+ */
+function retryAfterMs(header) {
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ */
+function backoffMs(attempt) {
+  const { retryBaseMs, retryMaxMs } = config.gatewayRequests;
+  return Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+}
+
+/**
+ * Wait, ending early if the caller cancels
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Caller's abort signal
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * fetch with a per-attempt timeout, cancellation by the current MCP request, and retries with
+ * backoff for idempotent methods on network errors, timeouts and 5xx/429 responses
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ */
+async function fetchWithRetries(url, options) {
+  const { timeoutMs, retries, maxRetryAfterMs } = config.gatewayRequests;
+  const method = (options.method || 'GET').toUpperCase();
+  const maxAttempts = IDEMPOTENT_METHODS.has(method) ? retries + 1 : 1;
+  // signal: null opts out of cancellation by the current MCP request
+  const callerSignal = options.signal === undefined ? currentSignal() : options.signal;
+  const cancelled = (cause) => {
+    const error = new Error(`API request cancelled: ${method} ${url}`, { cause });
+    error.name = 'AbortError';
+    return error;
+  };
+
+  const waitBeforeRetry = async (ms) => {
+    try {
+      await sleep(ms, callerSignal);
+    } catch (error) {
+      throw cancelled(error);
+    }
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    const signal = callerSignal ? AbortSignal.any([callerSignal, timeoutSignal]) : timeoutSignal;
+
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal });
+    } catch (error) {
+      if (callerSignal?.aborted) {
+        throw cancelled(error);
+      }
+
+      const failure = new UpstreamUnavailableError(
+        timeoutSignal.aborted
+          ? `API request timed out after ${timeoutMs}ms: ${method} ${url}`
+          : `API request failed: ${method} ${url}: ${error.message}`,
+        { method, url, cause: error }
+      );
+      if (attempt >= maxAttempts) {
+        throw failure;
+      }
+      console.error(`${failure.message}; retrying (${attempt}/${maxAttempts - 1})`);
+      await waitBeforeRetry(backoffMs(attempt - 1));
+      continue;
+    }
+
+    if (!isRetryableStatus(response.status) || attempt >= maxAttempts) {
+      return response;
+    }
+
+    // Retry-After longer than we are willing to wait: hand the response back instead
+    const requested = retryAfterMs(response.headers.get('retry-after'));
+    if (requested !== null && requested > maxRetryAfterMs) {
+      return response;
+    }
+
+    console.error(`API request ${method} ${url} returned ${response.status}; retrying (${attempt}/${maxAttempts - 1})`);
+    await response.body?.cancel();
+    await waitBeforeRetry(Math.max(requested ?? 0, backoffMs(attempt - 1)));
+  }
+}
+
+/**
+ * Send a request to an upstream service through its circuit breaker.
+ * Fails fast with CircuitOpenError while the upstream is down; network errors, timeouts and
+ * 5xx responses (after retries) count as failures.
+ * The last response is returned as-is (even if it is an error status) for the caller to handle.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options (signal defaults to the current MCP request's)
+ */
+export async function gatewayFetch(url, options = {}) {
+  const breaker = breakerFor(url);
+  breaker.beforeRequest();
+
+  let response;
+  try {
+    response = await fetchWithRetries(url, options);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      breaker.release();
+    } else {
+      breaker.recordFailure(error.message);
+    }
+    throw error;
+  }
+
+  if (response.status >= 500) {
+    breaker.recordFailure(`HTTP ${response.status} from ${url}`);
+  } else {
+    breaker.recordSuccess();
+  }
+  return response;
+}
+
+/**
+ * Read a response body: parsed JSON, raw text if it is not JSON (e.g. an HTML error page),
+ * or null if it is empty (e.g. 204 No Content)
+ * @param {Response} response - fetch response
+ */
+export async function readResponseBody(response) {
+  const text = await response.text();
+  if (text.trim() === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
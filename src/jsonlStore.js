@@ -0,0 +1,115 @@
+import { appendFile, chmod, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Append-only JSON lines file under the data directory.
+ * Each entry is one line; writes are serialized so concurrent appends never interleave.
+ */
+export class JsonlStore {
+  /**
+   * @param {string} path - File path
+   * @param {Object} options - { private: true } for files holding secrets: owner-only file (0600) and directory (0700)
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.private = Boolean(options.private);
+    this.restricted = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Create the directory, and restrict a private file written before it was private
+   */
+  async prepare() {
+    await mkdir(dirname(this.path), { recursive: true, mode: this.private ? 0o700 : 0o777 });
+    if (this.private && !this.restricted) {
+      await chmod(this.path, 0o600).catch((error) => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+      this.restricted = true;
+    }
+  }
+
+  /**
+   * Mode for newly created files
+   */
+  fileMode() {
+    return this.private ? 0o600 : 0o666;
+  }
+
+  /**
+   * Run a file operation after every earlier one has finished
+   * @param {Function} operation - Async function
+   */
+  enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append one entry
+   * @param {Object} entry - JSON-serializable entry
+   */
+  async append(entry) {
+    return this.enqueue(async () => {
+      await this.prepare();
+      await appendFile(this.path, `${JSON.stringify(entry)}\n`, { mode: this.fileMode() });
+      return entry;
+    });
+  }
+
+  /**
+   * Read every entry, skipping lines that are not valid JSON
+   */
+  async readAll() {
+    await this.queue;
+    return this.readEntries();
+  }
+
+  /**
+   * Read and change the entries as one queued operation, so appends made meanwhile are not lost.
+   * The file is rewritten only if the returned list differs from the one read.
+   * @param {Function} change - Receives the current entries, returns the entries to keep
+   * @returns {Array<Object>} The kept entries
+   */
+  async update(change) {
+    return this.enqueue(async () => {
+      const entries = await this.readEntries();
+      const kept = change(entries);
+      if (kept.length !== entries.length || kept.some((entry, index) => entry !== entries[index])) {
+        await this.prepare();
+        await writeFile(this.path, kept.map((entry) => `${JSON.stringify(entry)}\n`).join(''), { mode: this.fileMode() });
+      }
+      return kept;
+    });
+  }
+
+  /**
+   * Parse the file; callers hold or wait for the queue
+   */
+  async readEntries() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.error(`Skipping corrupt line in ${this.path}`);
+      }
+    }
+    return entries;
+  }
+}
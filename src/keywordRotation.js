@@ -0,0 +1,108 @@
+import { podsClient } from './podsClient.js';
+import { generatePassword } from './passwords.js';
+import { getCurrentKeyword } from './podRelease.js';
+
+/**
+ * Preview rotateKeyword: the current keyword record, and how many pods would get a new password.
+ * A generated keyword is shown as a placeholder and counts every pod as changed.
+ * @param {Object} options - { keyword, collections }
+ */
+export async function previewKeywordRotation(options = {}) {
+  const collections = options.collections || [];
+  const before = await podsClient.getPodKeyword();
+
+  const podsToUpdate = {};
+  for (const collection of collections) {
+    const pods = await podsClient.getAllPods(collection);
+    podsToUpdate[collection] = pods.filter((pod) => !options.keyword || pod.Password !== options.keyword).length;
+  }
+
+  return {
+    collections,
+    podsToUpdate,
+    before,
+    after: { ...before, keyword: options.keyword || '<generated>' },
+  };
+}
+
+/**
+ * Set a new pod keyword and optionally push it to the Password field of
+ * every pod in the given collections.
+ * If any pod update fails and rollback is enabled, pods that were already
+ * updated get their previous password back and the keyword is restored.
+ * @param {Object} options - { keyword, collections, rollbackOnFailure }
+ */
+export async function rotateKeyword(options = {}) {
+  const collections = options.collections || [];
+  const rollbackOnFailure = options.rollbackOnFailure !== false;
+  const keyword = options.keyword || generatePassword();
+  const generated = !options.keyword;
+
+  const previousKeyword = await getCurrentKeyword();
+  await podsClient.updatePodKeyword(keyword);
+
+  const updated = [];
+  const failed = [];
+  const unchanged = [];
+
+  for (const collection of collections) {
+    let pods;
+    try {
+      pods = await podsClient.getAllPods(collection);
+    } catch (error) {
+      failed.push({ collection, error: `Could not read collection: ${error.message}` });
+      continue;
+    }
+
+    for (const pod of [...pods].sort((a, b) => a.Number - b.Number)) {
+      if (pod.Password === keyword) {
+        unchanged.push({ collection, Number: pod.Number });
+        continue;
+      }
+      try {
+        await podsClient.updatePod(collection, pod.Number, { Password: keyword });
+        updated.push({ collection, Number: pod.Number, previousPassword: pod.Password });
+      } catch (error) {
+        failed.push({ collection, Number: pod.Number, error: error.message });
+      }
+    }
+  }
+
+  const result = {
+    keyword,
+    generated,
+    keywordUpdated: true,
+    collections,
+    updated: updated.map(({ collection, Number }) => ({ collection, Number })),
+    unchanged: unchanged.length,
+    failed,
+  };
+
+  if (failed.length === 0 || !rollbackOnFailure) {
+    return result;
+  }
+
+  // Roll back: restore previous passwords, then the previous keyword
+  const rollbackFailures = [];
+  for (const { collection, Number, previousPassword } of updated) {
+    try {
+      await podsClient.updatePod(collection, Number, { Password: previousPassword });
+    } catch (error) {
+      rollbackFailures.push({ collection, Number, error: error.message });
+    }
+  }
+
+  try {
+    await podsClient.updatePodKeyword(previousKeyword);
+    result.keywordUpdated = false;
+  } catch (error) {
+    rollbackFailures.push({ keyword: true, error: error.message });
+  }
+
+  return {
+    ...result,
+    rolledBack: true,
+    rolledBackPods: updated.length - rollbackFailures.filter((f) => !f.keyword).length,
+    rollbackFailures,
+  };
+}
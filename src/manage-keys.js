@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * API key management for MCP_API_KEYS_FILE
+ *
+ *   npm run keys -- generate <name> --role <read-only|proctor|admin> [--collections a,b]
+ *   npm run keys -- hash <key>
+ *   npm run keys -- list
+ *   npm run keys -- revoke <name>
+ *
+ * Only salted hashes are written to the file; generated keys are printed once.
+ * The running server picks up changes (including revocations) on the next request.
+ */
+
+import { config } from './config.js';
+import { generateApiKey, hashApiKey, readKeysFile, writeKeysFile } from './apiKeys.js';
+import { ROLES } from './permissions.js';
+
+/**
+ * Split argv into positional arguments and --flag values
+ * @param {Array<string>} argv - Arguments after the command
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      flags[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+function requireKeysFile() {
+  if (!config.apiKeysFile) {
+    throw new Error('MCP_API_KEYS_FILE is not configured in .env file');
+  }
+}
+
+const commands = {
+  generate({ positional: [name], flags }) {
+    requireKeysFile();
+    if (!name) {
+      throw new Error('Usage: generate <name> --role <role> [--collections a,b]');
+    }
+    if (!ROLES.includes(flags.role)) {
+      throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const file = readKeysFile();
+    if (file.keys.some((entry) => entry.name === name)) {
+      throw new Error(`A key named "${name}" already exists`);
+    }
+
+    const key = generateApiKey();
+    file.keys.push({
+      name,
+      hash: hashApiKey(key),
+      role: flags.role,
+      collections: flags.collections ? flags.collections.split(',').map((c) => c.trim()) : ['*'],
+      createdAt: new Date().toISOString(),
+    });
+    writeKeysFile(file);
+
+    console.log(`Created key "${name}" (${flags.role}). Store it now, it cannot be shown again:`);
+    console.log(key);
+  },
+
+  hash({ positional: [key] }) {
+    if (!key) {
+      throw new Error('Usage: hash <key>');
+    }
+    console.log(hashApiKey(key));
+  },
+
+  list() {
+    requireKeysFile();
+    const { keys } = readKeysFile();
+    if (keys.length === 0) {
+      console.log(`No keys in ${config.apiKeysFile}`);
+      return;
+    }
+    for (const entry of keys) {
+      const status = entry.revokedAt ? `revoked ${entry.revokedAt}` : 'active';
+      const storage = entry.hash ? 'hashed' : 'PLAIN TEXT';
+      console.log(`${entry.name}\t${entry.role}\t${(entry.collections || ['*']).join(',')}\t${status}\t${storage}`);
+    }
+  },
+
+  revoke({ positional: [name] }) {
+    requireKeysFile();
+    const file = readKeysFile();
+    const entry = file.keys.find((candidate) => candidate.name === name);
+    if (!entry) {
+      throw new Error(`No key named "${name}"`);
+    }
+    if (entry.revokedAt) {
+      console.log(`Key "${name}" was already revoked at ${entry.revokedAt}`);
+      return;
+    }
+    entry.revokedAt = new Date().toISOString();
+    writeKeysFile(file);
+    console.log(`Revoked key "${name}"`);
+  },
+};
+
+const [command, ...rest] = process.argv.slice(2);
+
+try {
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command || ''}". Commands: ${Object.keys(commands).join(', ')}`);
+  }
+  commands[command](parseArgs(rest));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
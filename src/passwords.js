@@ -0,0 +1,35 @@
+import { randomInt } from 'node:crypto';
+import { config } from './config.js';
+
+const UPPER = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const LOWER = 'abcdefghijkmnopqrstuvwxyz';
+const DIGITS = '23456789';
+
+/**
+ * Generate a random password with at least one upper, lower, digit and
+ * (unless the policy has no symbols) one symbol.
+ * Ambiguous characters (0/O, 1/l/I) are left out so passwords can be read aloud.
+ * @param {Object} policy - { length, symbols }; defaults to PASSWORD_LENGTH / PASSWORD_SYMBOLS
+ */
+export function generatePassword(policy = config.passwordPolicy) {
+  const size = Math.max(8, policy.length || 12);
+  const symbols = policy.symbols || '';
+  const all = UPPER + LOWER + DIGITS + symbols;
+  const pick = (chars) => chars[randomInt(chars.length)];
+
+  const chars = [pick(UPPER), pick(LOWER), pick(DIGITS)];
+  if (symbols) {
+    chars.push(pick(symbols));
+  }
+  while (chars.length < size) {
+    chars.push(pick(all));
+  }
+
+  // Fisher-Yates shuffle so the required classes are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+}
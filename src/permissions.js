@@ -0,0 +1,151 @@
+import { NotFoundError, PermissionError } from './errors.js';
+import { loadSnapshot } from './snapshots.js';
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+/**
+ * API key roles, from least to most privileged
+ */
+export const ROLES = ['read-only', 'proctor', 'admin'];
+
+/**
+ * Minimum role needed for a tool: an explicit `role` on the definition,
+ * otherwise read-only for read-only tools and proctor for everything else
+ * @param {Object} tool - Registry tool definition
+ */
+export function requiredRole(tool) {
+  if (tool.role) {
+    return tool.role;
+  }
+  return tool.annotations?.readOnlyHint === false ? 'proctor' : 'read-only';
+}
+
+/**
+ * Check whether a role meets a minimum role
+ */
+function roleAtLeast(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Get the caller's key restrictions from MCP request context.
+ * Returns null when the transport did not authenticate a scoped key (stdio, auth disabled).
+ * @param {Object} extra - MCP request handler extra
+ */
+function callerScope(extra) {
+  const scope = extra?.authInfo?.extra;
+  if (!scope?.role) {
+    return null;
+  }
+  return { name: extra.authInfo.clientId, role: scope.role, collections: scope.collections || null };
+}
+
+/**
+ * Check whether the caller may see and use a tool at all
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} extra - MCP request handler extra
+ */
+export function canUseTool(tool, extra) {
+  const scope = callerScope(extra);
+  return !scope || roleAtLeast(scope.role, requiredRole(tool));
+}
+
+/**
+ * Collection a reference names: snapshot references (snapshot:<name>) name the collection the snapshot was taken of.
+ * A snapshot that does not exist references nothing; the tool reports it as not found.
+ * @param {string} name - Collection name or 'snapshot:<name>'
+ */
+async function resolveCollection(name) {
+  if (!name.startsWith(SNAPSHOT_PREFIX)) {
+    return name;
+  }
+  try {
+    return (await loadSnapshot(name.slice(SNAPSHOT_PREFIX.length))).collection;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Collections referenced by tool arguments or resource URI parameters
+ * @param {Object} args - Tool arguments or URI template parameters
+ */
+export async function referencedCollections(args) {
+  const names = [args.collection, args.source, args.target, args.left, args.right, ...(args.collections || [])];
+  const resolved = await Promise.all(names.filter((name) => typeof name === 'string').map(resolveCollection));
+  return resolved.filter(Boolean);
+}
+
+/**
+ * Check that the caller may access every given collection
+ * @param {Object} scope - Caller scope
+ * @param {Array<string>} collections - Collection names
+ */
+function assertCollectionsAllowed(scope, collections) {
+  if (!scope.collections) {
+    return;
+  }
+  const denied = collections.filter((name) => !scope.collections.includes(name));
+  if (denied.length > 0) {
+    throw new PermissionError(`Caller "${scope.name}" may not access collection(s): ${denied.join(', ')}`);
+  }
+}
+
+/**
+ * Enforce role and collection rules for a tool call
+ * @param {Object} tool - Registry tool definition
+ * @param {Object} args - Tool arguments
+ * @param {Object} extra - MCP request handler extra
+ */
+export async function assertToolAllowed(tool, args, extra) {
+  const scope = callerScope(extra);
+  if (!scope) {
+    return;
+  }
+  if (!roleAtLeast(scope.role, requiredRole(tool))) {
+    throw new PermissionError(`Caller "${scope.name}" (role ${scope.role}) may not use ${tool.name}; requires ${requiredRole(tool)}`);
+  }
+
+  // Keys limited to some collections must name one when the tool takes an optional collection filter
+  if (scope.collections && tool.inputSchema.properties?.collection && args.collection === undefined) {
+    throw new PermissionError(`Caller "${scope.name}" is limited to ${scope.collections.join(', ')}; pass a collection`);
+  }
+  assertCollectionsAllowed(scope, await referencedCollections(args));
+}
+
+/**
+ * Enforce collection rules for a resource read
+ * @param {Object} params - URI template parameters
+ * @param {Object} extra - MCP request handler extra
+ */
+export async function assertResourceAllowed(params, extra) {
+  const scope = callerScope(extra);
+  if (scope) {
+    assertCollectionsAllowed(scope, await referencedCollections(params));
+  }
+}
+
+/**
+ * Enforce a minimum role and collection access for an HTTP route (req.auth set by authentication)
+ * @param {Object} auth - AuthInfo from req.auth
+ * @param {string} minimum - Minimum role
+ * @param {Array<string>} collections - Collections the route touches
+ * @param {Object} options - { filter: true } when collections come from an optional filter (e.g. ?collection=),
+ *   which keys limited to some collections must then pass, as for tools with an optional collection
+ */
+export function assertRouteAllowed(auth, minimum, collections = [], options = {}) {
+  const scope = callerScope({ authInfo: auth });
+  if (!scope) {
+    return;
+  }
+  if (!roleAtLeast(scope.role, minimum)) {
+    throw new PermissionError(`Caller "${scope.name}" (role ${scope.role}) may not use this route; requires ${minimum}`);
+  }
+  if (options.filter && scope.collections && collections.length === 0) {
+    throw new PermissionError(`Caller "${scope.name}" is limited to ${scope.collections.join(', ')}; pass a collection`);
+  }
+  assertCollectionsAllowed(scope, collections);
+}
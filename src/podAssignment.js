@@ -0,0 +1,152 @@
+import { podsClient } from './podsClient.js';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Per-collection promise chains so concurrent claims in this process run one at a time
+const collectionLocks = new Map();
+
+/**
+ * Run a task while holding the in-process lock for a collection
+ * @param {string} collection - Collection name
+ * @param {Function} task - Async function to run
+ */
+async function withCollectionLock(collection, task) {
+  const previous = collectionLocks.get(collection) || Promise.resolve();
+  const current = previous.then(task, task);
+  const tail = current.catch(() => {});
+  collectionLocks.set(collection, tail);
+
+  try {
+    return await current;
+  } finally {
+    if (collectionLocks.get(collection) === tail) {
+      collectionLocks.delete(collection);
+    }
+  }
+}
+
+/**
+ * Check whether a pod is free to hand out
+ * @param {Object} pod - Pod record
+ */
+export function isUnassigned(pod) {
+  return String(pod.Status || '').toLowerCase() === 'unassigned';
+}
+
+/**
+ * Check whether two date strings name the same instant (the gateway may reformat stored dates)
+ * @param {string} a - Date string
+ * @param {string} b - Date string
+ */
+function sameInstant(a, b) {
+  const time = Date.parse(a);
+  return Number.isFinite(time) && time === Date.parse(b);
+}
+
+/**
+ * Check whether a pod carries a claim's assignee and timestamp, i.e. no other caller overwrote it
+ * @param {Object} pod - Pod record read back after the claim
+ * @param {Object} claim - Fields written by the claim
+ */
+function carriesClaim(pod, claim) {
+  return pod['Assigned To'] === claim['Assigned To'] && sameInstant(pod['Assigned Date'], claim['Assigned Date']);
+}
+
+/**
+ * Put back the assignment fields a failed claim overwrote
+ * @param {string} collection - Collection name
+ * @param {Object} previous - Pod record read before the claim
+ */
+async function undoClaim(collection, previous) {
+  try {
+    await podsClient.updatePod(collection, previous.Number, {
+      Status: previous.Status,
+      'Assigned To': previous['Assigned To'] ?? '',
+      'Assigned Date': previous['Assigned Date'] ?? '',
+    });
+  } catch (error) {
+    console.error(`Failed to undo claim on pod ${previous.Number} in ${collection}:`, error.message);
+  }
+}
+
+/**
+ * Assign the lowest-numbered unassigned pod in a collection.
+ * The gateway has no conditional writes, so each candidate is re-read right before it is
+ * claimed (and skipped if someone else took it since the listing), and the claim is verified
+ * by re-reading the pod afterwards; if another caller's write won, the next candidate is tried.
+ * A claim that cannot be verified, or that is still on the pod but not held, is undone.
+ * Up to maxAttempts claims are written.
+ * @param {string} collection - Collection name
+ * @param {string} assignee - Name or email of the attendee receiving the pod
+ * @param {Object} options - { maxAttempts }
+ */
+export async function assignNextAvailablePod(collection, assignee, options = {}) {
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+  return withCollectionLock(collection, async () => {
+    const pods = await podsClient.getAllPods(collection);
+    const candidates = pods
+      .filter(isUnassigned)
+      .sort((a, b) => a.Number - b.Number);
+
+    const contested = [];
+    let attempts = 0;
+
+    for (const candidate of candidates) {
+      if (attempts >= maxAttempts) {
+        break;
+      }
+
+      // The listing may be stale: only claim a pod that is still free
+      const current = await podsClient.getPodByNumber(collection, candidate.Number);
+      if (!isUnassigned(current)) {
+        contested.push(candidate.Number);
+        continue;
+      }
+
+      const claim = {
+        Status: 'assigned',
+        'Assigned To': assignee,
+        // Whole seconds, so the claim still matches if the gateway stores dates without milliseconds
+        'Assigned Date': new Date(Math.floor(Date.now() / 1000) * 1000).toISOString(),
+      };
+
+      attempts += 1;
+      await podsClient.updatePod(collection, candidate.Number, claim);
+      let pod;
+      try {
+        pod = await podsClient.getPodByNumber(collection, candidate.Number);
+      } catch (error) {
+        await undoClaim(collection, current);
+        throw error;
+      }
+
+      const ours = carriesClaim(pod, claim);
+      if (ours && String(pod.Status || '').toLowerCase() === claim.Status) {
+        return {
+          assigned: true,
+          collection,
+          attempts,
+          contested,
+          pod,
+        };
+      }
+
+      // Another caller's claim replaced ours and is left alone; only our own leftovers are undone
+      if (ours) {
+        await undoClaim(collection, current);
+      }
+      contested.push(candidate.Number);
+    }
+
+    return {
+      assigned: false,
+      collection,
+      attempts,
+      contested,
+      message: attempts === 0
+        ? `No unassigned pods available in ${collection}`
+        : `Could not claim a pod in ${collection} after ${attempts} attempts`,
+    };
+  });
+}
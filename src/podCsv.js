@@ -0,0 +1,192 @@
+import { createHash } from 'node:crypto';
+import { podsClient } from './podsClient.js';
+import { parseCsv, toCsv } from './csv.js';
+import { podFieldProperties, podFields } from './podSchema.js';
+import { getPodErrors, getUpdateErrors } from './podValidation.js';
+import { redact, MASK } from './redaction.js';
+
+export const IMPORT_MODES = ['create', 'upsert'];
+
+/**
+ * Normalize a column header for matching (case, spaces and punctuation ignored)
+ * @param {string} header - Column header
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const fieldsByHeader = new Map(podFields.map((field) => [normalizeHeader(field), field]));
+
+/**
+ * Export all pods in a collection as CSV with one column per pod field
+ * @param {string} collection - Collection name
+ * @param {Object} options - { redacted, role }; redacted applies the redaction policy for role
+ */
+export async function exportPodsCsv(collection, options = {}) {
+  const pods = await podsClient.getAllPods(collection);
+  const visible = options.redacted ? redact(pods, options.role) : pods;
+  const sorted = [...visible].sort((a, b) => a.Number - b.Number);
+  const rows = [podFields, ...sorted.map((pod) => podFields.map((field) => pod[field]))];
+  return toCsv(rows);
+}
+
+/**
+ * Summarize CSV text for the audit log, which must not store the credentials it contains
+ * @param {string} csvText - CSV text with a header row
+ * @returns {Object} { rows, columns, bytes, sha256 }; rows and columns are null if the CSV does not parse
+ */
+export function summarizeCsv(csvText) {
+  const text = String(csvText ?? '');
+  let header = null;
+  let dataRows = null;
+  try {
+    [header = [], ...dataRows] = parseCsv(text);
+  } catch {
+    // Still audited by size and hash
+  }
+  return {
+    rows: dataRows ? dataRows.length : null,
+    columns: header,
+    bytes: Buffer.byteLength(text),
+    sha256: createHash('sha256').update(text).digest('hex'),
+  };
+}
+
+/**
+ * Convert one CSV row to a pod record, collecting field errors
+ * @param {Array<string>} values - Row values
+ * @param {Array<string|null>} columns - Pod field for each column (null if unmapped)
+ */
+function rowToPod(values, columns) {
+  const pod = {};
+  const errors = [];
+
+  columns.forEach((field, index) => {
+    const raw = (values[index] ?? '').trim();
+    if (!field || raw === '') {
+      return;
+    }
+    if (raw.includes(MASK)) {
+      errors.push({ field, message: 'Value is a redaction mask, not real data; export via the HTTP route with reveal=true (admin keys) for unredacted values' });
+      return;
+    }
+
+    if (podFieldProperties[field].type === 'number') {
+      const number = Number(raw);
+      if (!Number.isFinite(number)) {
+        errors.push({ field, message: `Expected a number, got "${raw}"` });
+        return;
+      }
+      pod[field] = number;
+    } else {
+      pod[field] = raw;
+    }
+  });
+
+  return { pod, errors };
+}
+
+/**
+ * Import pods from CSV text into a collection.
+ * Every row is validated before anything is written; if any row is invalid
+ * nothing is imported and the per-row errors are returned.
+ * @param {string} collection - Collection name
+ * @param {string} csvText - CSV text with a header row
+ * @param {string} mode - 'create' (skip existing pods) or 'upsert' (update existing pods)
+ */
+export async function importPodsCsv(collection, csvText, mode = 'create') {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid import mode "${mode}". Expected one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const [header, ...dataRows] = parseCsv(csvText);
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+
+  const columns = header.map((name) => fieldsByHeader.get(normalizeHeader(name)) || null);
+  const ignoredColumns = header.filter((name, index) => !columns[index]);
+  if (!columns.includes('Number')) {
+    throw new Error('CSV must include a Number column');
+  }
+
+  // Validate every row first
+  const seenNumbers = new Set();
+  const parsed = dataRows.map((values, index) => {
+    const row = index + 2; // 1-based, after the header
+    const { pod, errors } = rowToPod(values, columns);
+
+    if (pod.Number !== undefined && seenNumbers.has(pod.Number)) {
+      errors.push({ field: 'Number', message: `Duplicate pod number ${pod.Number} in CSV` });
+    }
+    seenNumbers.add(pod.Number);
+
+    return { row, pod, errors };
+  });
+
+  const existing = await podsClient.getAllPods(collection);
+  const existingNumbers = new Set(existing.map((pod) => pod.Number));
+
+  for (const entry of parsed) {
+    if (entry.errors.length > 0) {
+      continue;
+    }
+    if (entry.pod.Number === undefined) {
+      entry.errors.push({ field: 'Number', message: 'Required field is missing' });
+    } else if (existingNumbers.has(entry.pod.Number)) {
+      // Existing pods are only written in upsert mode, as a partial update
+      if (mode === 'upsert') {
+        const { Number: _number, ...updates } = entry.pod;
+        entry.errors.push(...getUpdateErrors(updates));
+      }
+    } else {
+      entry.errors.push(...getPodErrors(entry.pod));
+    }
+  }
+
+  const invalid = parsed.filter((entry) => entry.errors.length > 0);
+  if (invalid.length > 0) {
+    return {
+      collection,
+      mode,
+      imported: false,
+      message: `${invalid.length} of ${parsed.length} rows failed validation; nothing was imported`,
+      ignoredColumns,
+      results: invalid.map(({ row, pod, errors }) => ({ row, Number: pod.Number, status: 'invalid', errors })),
+    };
+  }
+
+  // Write rows
+  const results = [];
+  for (const { row, pod } of parsed) {
+    try {
+      if (existingNumbers.has(pod.Number)) {
+        if (mode === 'upsert') {
+          const { Number: number, ...updates } = pod;
+          await podsClient.updatePod(collection, number, updates);
+          results.push({ row, Number: pod.Number, status: 'updated' });
+        } else {
+          results.push({ row, Number: pod.Number, status: 'skipped', reason: 'Pod already exists' });
+        }
+      } else {
+        await podsClient.createPod(collection, pod);
+        results.push({ row, Number: pod.Number, status: 'created' });
+      }
+    } catch (error) {
+      results.push({ row, Number: pod.Number, status: 'failed', error: error.message, code: error.code });
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    collection,
+    mode,
+    imported: true,
+    created: count('created'),
+    updated: count('updated'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    ignoredColumns,
+    results,
+  };
+}
@@ -0,0 +1,96 @@
+import { podsClient } from './podsClient.js';
+import { ValidationError } from './errors.js';
+import { getPodErrors } from './podValidation.js';
+
+const MAX_RANGE_SIZE = 500;
+
+// Template fields that are strings with a {n} placeholder for the pod number
+const STRING_TEMPLATE_FIELDS = ['POD', 'AdminLogin', 'AgentLogin', 'SupervisorLogin', 'Password', 'CRMLogin', 'CRMPassword'];
+
+/**
+ * Replace every {n} placeholder in a template string with the pod number
+ * @param {string} template - Template string (e.g., 'admin{n}@coelab.wbx.ai')
+ * @param {number} number - Pod number
+ */
+export function fillTemplate(template, number) {
+  return String(template).replace(/\{n\}/g, String(number));
+}
+
+/**
+ * Build a pod record for a number from a naming template
+ * @param {number} number - Pod number
+ * @param {Object} template - Naming template
+ */
+export function buildPodFromTemplate(number, template) {
+  const pod = { Number: number };
+
+  for (const field of STRING_TEMPLATE_FIELDS) {
+    if (template[field] !== undefined) {
+      pod[field] = fillTemplate(template[field], number);
+    }
+  }
+
+  pod.TelephoneNumber = template.TelephoneNumberBase + number;
+  pod.SMSNumber = template.SMSNumberBase + number;
+  pod.Status = template.Status || 'unassigned';
+
+  return pod;
+}
+
+/**
+ * Create every pod in a numbered range from a naming template.
+ * Numbers that already exist in the collection are skipped.
+ * @param {string} collection - Collection name
+ * @param {number} start - First pod number (inclusive)
+ * @param {number} end - Last pod number (inclusive)
+ * @param {Object} template - Naming template
+ */
+export async function createPodRange(collection, start, end, template) {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+    throw new Error('start and end must be positive integers with start <= end');
+  }
+  if (end - start + 1 > MAX_RANGE_SIZE) {
+    throw new Error(`Range too large: at most ${MAX_RANGE_SIZE} pods can be created per call`);
+  }
+  if (typeof template.TelephoneNumberBase !== 'number' || typeof template.SMSNumberBase !== 'number') {
+    throw new Error('template.TelephoneNumberBase and template.SMSNumberBase must be numbers');
+  }
+
+  // Validate every generated pod before creating any
+  const fieldErrors = [];
+  for (let number = start; number <= end; number++) {
+    const errors = getPodErrors(buildPodFromTemplate(number, template));
+    fieldErrors.push(...errors.map((error) => ({ ...error, Number: number })));
+  }
+  if (fieldErrors.length > 0) {
+    throw new ValidationError(`Template produces invalid pods: ${fieldErrors.length} field error(s)`, fieldErrors.slice(0, 50));
+  }
+
+  const existing = await podsClient.getAllPods(collection);
+  const existingNumbers = new Set(existing.map((pod) => pod.Number));
+
+  const results = [];
+  for (let number = start; number <= end; number++) {
+    if (existingNumbers.has(number)) {
+      results.push({ Number: number, status: 'skipped', reason: 'Pod already exists' });
+      continue;
+    }
+
+    const pod = buildPodFromTemplate(number, template);
+    try {
+      await podsClient.createPod(collection, pod);
+      results.push({ Number: number, status: 'created', POD: pod.POD });
+    } catch (error) {
+      results.push({ Number: number, status: 'failed', error: error.message, code: error.code });
+    }
+  }
+
+  return {
+    collection,
+    requested: end - start + 1,
+    created: results.filter((r) => r.status === 'created').length,
+    skipped: results.filter((r) => r.status === 'skipped').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    results,
+  };
+}
@@ -0,0 +1,116 @@
+const LOGIN_FIELDS = ['AdminLogin', 'AgentLogin', 'SupervisorLogin', 'CRMLogin'];
+
+export const QUERY_ARGUMENTS = ['filter', 'sort', 'fields', 'limit', 'cursor'];
+
+/**
+ * Encode a pagination offset as an opaque cursor
+ * @param {number} offset - Index of the next pod to return
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * Case-insensitive string equality
+ */
+function equalsIgnoreCase(a, b) {
+  return String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+}
+
+/**
+ * Check whether a pod matches every provided filter criterion
+ * @param {Object} pod - Pod record
+ * @param {Object} filter - { Status, "Test Status", numberMin, numberMax, login }
+ */
+export function matchesFilter(pod, filter = {}) {
+  if (filter.Status !== undefined && !equalsIgnoreCase(pod.Status, filter.Status)) {
+    return false;
+  }
+  if (filter['Test Status'] !== undefined && !equalsIgnoreCase(pod['Test Status'], filter['Test Status'])) {
+    return false;
+  }
+  if (filter.numberMin !== undefined && !(pod.Number >= filter.numberMin)) {
+    return false;
+  }
+  if (filter.numberMax !== undefined && !(pod.Number <= filter.numberMax)) {
+    return false;
+  }
+  if (filter.login !== undefined) {
+    const needle = String(filter.login).toLowerCase();
+    const found = LOGIN_FIELDS.some((field) => String(pod[field] ?? '').toLowerCase().includes(needle));
+    if (!found) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compare two field values; numbers numerically, everything else as strings, missing values last
+ */
+function compareValues(a, b) {
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : 1;
+  if (b === undefined || b === null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Check whether any query argument was supplied
+ * @param {Object} args - Tool arguments
+ */
+export function hasQueryArguments(args) {
+  return QUERY_ARGUMENTS.some((name) => args[name] !== undefined);
+}
+
+/**
+ * Apply filter, sort, projection and pagination to a list of pods
+ * @param {Array<Object>} pods - Pods as returned by getAllPods
+ * @param {Object} query - { filter, sort: { field, order }, fields, limit, cursor }
+ */
+export function queryPods(pods, query = {}) {
+  const { filter, sort, fields, limit, cursor } = query;
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('limit must be a positive integer');
+  }
+
+  let result = pods.filter((pod) => matchesFilter(pod, filter));
+
+  if (sort) {
+    const direction = sort.order === 'desc' ? -1 : 1;
+    result = [...result].sort((a, b) => direction * compareValues(a[sort.field], b[sort.field]));
+  }
+
+  const total = result.length;
+  const offset = cursor ? decodeCursor(cursor) : 0;
+  const end = limit ? offset + limit : total;
+  const page = result.slice(offset, end);
+
+  const projected = fields
+    ? page.map((pod) => Object.fromEntries(fields.filter((field) => field in pod).map((field) => [field, pod[field]])))
+    : page;
+
+  return {
+    total,
+    count: projected.length,
+    nextCursor: end < total ? encodeCursor(end) : null,
+    pods: projected,
+  };
+}
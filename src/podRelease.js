@@ -0,0 +1,151 @@
+import { podsClient } from './podsClient.js';
+import { generatePassword } from './passwords.js';
+import { diffRecords } from './diff.js';
+import { isUnassigned } from './podAssignment.js';
+import { assignmentFields } from './podSchema.js';
+
+export const PASSWORD_SOURCES = ['generate', 'keyword'];
+
+/**
+ * Read the current pod keyword value
+ */
+export async function getCurrentKeyword() {
+  const record = await podsClient.getPodKeyword();
+  const keyword = record?.keyword ?? record?.Keyword;
+  if (!keyword) {
+    throw new Error('Pod keyword record has no keyword value');
+  }
+  return keyword;
+}
+
+/**
+ * Build a function that returns the new password for each released pod
+ * @param {string} passwordSource - 'generate' (new random password per pod) or 'keyword' (current pod keyword)
+ */
+export async function createPasswordSupplier(passwordSource) {
+  if (!PASSWORD_SOURCES.includes(passwordSource)) {
+    throw new Error(`Invalid passwordSource "${passwordSource}". Expected one of: ${PASSWORD_SOURCES.join(', ')}`);
+  }
+  if (passwordSource === 'keyword') {
+    const keyword = await getCurrentKeyword();
+    return () => keyword;
+  }
+  return () => generatePassword();
+}
+
+/**
+ * Build the update that returns a pod to the unassigned pool
+ * @param {Object} pod - Current pod record
+ * @param {string} password - New pod and CRM password
+ */
+function buildReleaseUpdates(pod, password) {
+  const updates = {
+    Status: 'unassigned',
+    Password: password,
+    CRMPassword: password,
+    'Test Date': '',
+    'Test Status': '',
+  };
+
+  // Only clear assignment fields that assign_next_available_pod actually set
+  for (const field of assignmentFields) {
+    if (pod[field] !== undefined) {
+      updates[field] = '';
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Reset one pod and report the before/after difference
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {string} password - New password
+ */
+async function resetPod(collection, number, password) {
+  const before = await podsClient.getPodByNumber(collection, number);
+  await podsClient.updatePod(collection, number, buildReleaseUpdates(before, password));
+  const after = await podsClient.getPodByNumber(collection, number);
+
+  return {
+    Number: number,
+    released: true,
+    changes: diffRecords(before, after),
+    pod: after,
+  };
+}
+
+/**
+ * Release a pod: mark it unassigned, rotate Password and CRMPassword, and clear test and assignment fields
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {Object} options - { passwordSource }
+ */
+export async function releasePod(collection, number, options = {}) {
+  const nextPassword = await createPasswordSupplier(options.passwordSource || 'generate');
+  return {
+    collection,
+    ...(await resetPod(collection, number, nextPassword())),
+  };
+}
+
+/**
+ * Pods releaseAllPods would reset, lowest number first
+ * @param {string} collection - Collection name
+ * @param {Object} options - { includeUnassigned }
+ */
+async function releaseTargets(collection, options) {
+  const pods = await podsClient.getAllPods(collection);
+  return pods
+    .filter((pod) => options.includeUnassigned || !isUnassigned(pod))
+    .sort((a, b) => a.Number - b.Number);
+}
+
+/**
+ * Preview releaseAllPods: the pods that would be released, keyed by pod number, before and after.
+ * Generated passwords are shown as a placeholder since they are only created when the release runs.
+ * @param {string} collection - Collection name
+ * @param {Object} options - { passwordSource, includeUnassigned }
+ */
+export async function previewReleaseAllPods(collection, options = {}) {
+  const passwordSource = options.passwordSource || 'generate';
+  const nextPassword = passwordSource === 'generate'
+    ? () => '<generated>'
+    : await createPasswordSupplier(passwordSource);
+  const targets = await releaseTargets(collection, options);
+
+  return {
+    collection,
+    released: targets.length,
+    before: Object.fromEntries(targets.map((pod) => [pod.Number, pod])),
+    after: Object.fromEntries(targets.map((pod) => [pod.Number, { ...pod, ...buildReleaseUpdates(pod, nextPassword()) }])),
+  };
+}
+
+/**
+ * Release every pod in a collection that is not already unassigned
+ * @param {string} collection - Collection name
+ * @param {Object} options - { passwordSource, includeUnassigned }
+ */
+export async function releaseAllPods(collection, options = {}) {
+  const nextPassword = await createPasswordSupplier(options.passwordSource || 'generate');
+  const targets = await releaseTargets(collection, options);
+
+  const results = [];
+  for (const pod of targets) {
+    try {
+      const { changes } = await resetPod(collection, pod.Number, nextPassword());
+      results.push({ Number: pod.Number, released: true, changes });
+    } catch (error) {
+      results.push({ Number: pod.Number, released: false, error: error.message, code: error.code });
+    }
+  }
+
+  return {
+    collection,
+    released: results.filter((r) => r.released).length,
+    failed: results.filter((r) => !r.released).length,
+    results,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Pod record field definitions
+ * Shared by the create_pod tool schema and anything that maps external data onto pods
+ */
+export const podFieldProperties = {
+  Number: {
+    type: 'number',
+    description: 'Unique pod number',
+  },
+  POD: {
+    type: 'string',
+    description: 'Pod name (e.g., Pod1, TestPod1)',
+  },
+  AdminLogin: {
+    type: 'string',
+    description: 'Admin email login (e.g., admin1@coelab.wbx.ai)',
+  },
+  AgentLogin: {
+    type: 'string',
+    description: 'Agent email login',
+  },
+  SupervisorLogin: {
+    type: 'string',
+    description: 'Supervisor email login',
+  },
+  Password: {
+    type: 'string',
+    description: 'Pod password',
+  },
+  TelephoneNumber: {
+    type: 'number',
+    description: 'Telephone number (e.g., 16692845001)',
+  },
+  SMSNumber: {
+    type: 'number',
+    description: 'SMS number (e.g., 14085386001)',
+  },
+  Status: {
+    type: 'string',
+    description: 'Pod status (e.g., unassigned, assigned)',
+  },
+  CRMLogin: {
+    type: 'string',
+    description: 'CRM username',
+  },
+  CRMPassword: {
+    type: 'string',
+    description: 'CRM password',
+  },
+  "Test Date": {
+    type: 'string',
+    description: 'Test date (optional)',
+  },
+  "Test Status": {
+    type: 'string',
+    description: 'Test status (optional)',
+  },
+};
+
+export const podFields = Object.keys(podFieldProperties);
+
+export const requiredPodFields = ['Number', 'POD', 'AdminLogin', 'AgentLogin', 'SupervisorLogin', 'Password', 'TelephoneNumber', 'SMSNumber', 'Status', 'CRMLogin', 'CRMPassword'];
+
+// Set by assign_next_available_pod and cleared by release_pod
+export const assignmentFieldProperties = {
+  "Assigned To": {
+    type: 'string',
+    description: 'Name or email of the attendee the pod is assigned to',
+  },
+  "Assigned Date": {
+    type: 'string',
+    description: 'When the pod was assigned (ISO 8601)',
+  },
+};
+
+export const assignmentFields = Object.keys(assignmentFieldProperties);
+
+// Fields update_pod may change (the pod number identifies the record and is not updatable).
+// Used for both the update_pod schema and server-side validation.
+export const updatablePodFieldProperties = Object.fromEntries(
+  Object.entries({ ...podFieldProperties, ...assignmentFieldProperties }).filter(([field]) => field !== 'Number')
+);
+
+export const updatablePodFields = Object.keys(updatablePodFieldProperties);
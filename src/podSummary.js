@@ -0,0 +1,105 @@
+import { podsClient } from './podsClient.js';
+
+// Caps keep the summary small regardless of collection size
+const MAX_GAP_RANGES = 50;
+const MAX_BUCKETS = 25;
+const NONE = '(none)';
+
+/**
+ * Count pods by the value of a field
+ * @param {Array<Object>} pods - Pod records
+ * @param {string} field - Field name
+ */
+function countBy(pods, field) {
+  const counts = {};
+  for (const pod of pods) {
+    const raw = pod[field];
+    const key = raw === undefined || raw === null || String(raw).trim() === '' ? NONE : String(raw).trim();
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (entries.length <= MAX_BUCKETS) {
+    return Object.fromEntries(entries);
+  }
+  const kept = entries.slice(0, MAX_BUCKETS - 1);
+  const other = entries.slice(MAX_BUCKETS - 1).reduce((sum, [, count]) => sum + count, 0);
+  return Object.fromEntries([...kept, ['(other)', other]]);
+}
+
+/**
+ * Find the most recent parseable "Test Date"
+ * @param {Array<Object>} pods - Pod records
+ */
+function lastTestDate(pods) {
+  let latest = null;
+  for (const pod of pods) {
+    const time = Date.parse(pod['Test Date']);
+    if (!Number.isNaN(time) && (!latest || time > latest.time)) {
+      latest = { time, value: pod['Test Date'], Number: pod.Number };
+    }
+  }
+  return latest ? { date: latest.value, Number: latest.Number } : null;
+}
+
+/**
+ * Describe the pod numbering: range, gaps and duplicates
+ * @param {Array<Object>} pods - Pod records
+ */
+function numbering(pods) {
+  const numbers = pods.map((pod) => pod.Number).filter(Number.isInteger).sort((a, b) => a - b);
+  if (numbers.length === 0) {
+    return { min: null, max: null, missingCount: 0, gaps: [], duplicates: [] };
+  }
+
+  const gaps = [];
+  const duplicates = new Set();
+  let missingCount = 0;
+
+  for (let i = 1; i < numbers.length; i++) {
+    const previous = numbers[i - 1];
+    const current = numbers[i];
+    if (current === previous) {
+      duplicates.add(current);
+    } else if (current > previous + 1) {
+      missingCount += current - previous - 1;
+      gaps.push({ from: previous + 1, to: current - 1 });
+    }
+  }
+
+  return {
+    min: numbers[0],
+    max: numbers[numbers.length - 1],
+    missingCount,
+    gaps: gaps.slice(0, MAX_GAP_RANGES),
+    gapsTruncated: gaps.length > MAX_GAP_RANGES,
+    duplicates: [...duplicates].slice(0, MAX_GAP_RANGES),
+  };
+}
+
+/**
+ * Summarize a list of pods without returning any pod records
+ * @param {Array<Object>} pods - Pod records
+ */
+export function summarizePods(pods) {
+  return {
+    total: pods.length,
+    byStatus: countBy(pods, 'Status'),
+    byTestStatus: countBy(pods, 'Test Status'),
+    lastTest: lastTestDate(pods),
+    numbering: numbering(pods),
+  };
+}
+
+/**
+ * Fetch a collection and compute its utilization summary
+ * @param {string} collection - Collection name
+ */
+export async function getCollectionSummary(collection) {
+  const pods = await podsClient.getAllPods(collection);
+  return {
+    collection,
+    generatedAt: new Date().toISOString(),
+    ...summarizePods(pods),
+  };
+}
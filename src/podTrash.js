@@ -0,0 +1,144 @@
+import { randomUUID } from 'node:crypto';
+import { join } from 'node:path';
+import { config } from './config.js';
+import { podsClient } from './podsClient.js';
+import { JsonlStore } from './jsonlStore.js';
+import { ConflictError, NotFoundError } from './errors.js';
+
+// Holds full pod records, plaintext passwords included, so restores are exact
+const store = new JsonlStore(join(config.dataDir, 'trash.jsonl'), { private: true });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read trash entries, dropping any past their retention period
+ */
+async function readLiveEntries() {
+  const now = Date.now();
+  return store.update((entries) => entries.filter((entry) => Date.parse(entry.expiresAt) > now));
+}
+
+/**
+ * Remove one entry from the trash
+ * @param {string} id - Trash entry ID
+ */
+async function removeEntry(id) {
+  await store.update((entries) => entries.filter((entry) => entry.id !== id));
+}
+
+/**
+ * Check whether a pod still exists in the gateway (assumed to if the gateway cannot say)
+ */
+async function podExists(collection, number) {
+  try {
+    await podsClient.getPodByNumber(collection, number);
+    return true;
+  } catch (error) {
+    return !(error instanceof NotFoundError);
+  }
+}
+
+/**
+ * Delete a pod, keeping its full record in the local trash so it can be restored
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {Object} options - { deletedBy }
+ */
+export async function softDeletePod(collection, number, options = {}) {
+  const pod = await podsClient.getPodByNumber(collection, number);
+  const deletedAt = new Date();
+  const entry = {
+    id: randomUUID(),
+    collection,
+    Number: number,
+    deletedAt: deletedAt.toISOString(),
+    expiresAt: new Date(deletedAt.getTime() + config.trashRetentionDays * DAY_MS).toISOString(),
+    deletedBy: options.deletedBy,
+    pod,
+  };
+
+  await store.append(entry);
+
+  try {
+    await podsClient.deletePod(collection, number);
+  } catch (error) {
+    // Only drop the trash copy if the pod really is still there
+    if (await podExists(collection, number)) {
+      await removeEntry(entry.id);
+      throw error;
+    }
+  }
+
+  return {
+    deleted: true,
+    collection,
+    Number: number,
+    trashId: entry.id,
+    restorableUntil: entry.expiresAt,
+  };
+}
+
+/**
+ * List pods in the trash, newest first
+ * @param {string} collection - Optional collection to filter by
+ */
+export async function listDeletedPods(collection) {
+  const entries = (await readLiveEntries())
+    .filter((entry) => !collection || entry.collection === collection)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  return {
+    retentionDays: config.trashRetentionDays,
+    count: entries.length,
+    pods: entries.map(({ id, collection: col, Number: number, deletedAt, expiresAt, deletedBy, pod }) => ({
+      trashId: id,
+      collection: col,
+      Number: number,
+      POD: pod.POD,
+      Status: pod.Status,
+      deletedAt,
+      expiresAt,
+      deletedBy,
+    })),
+  };
+}
+
+/**
+ * Re-create a deleted pod from the trash
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {Object} options - { trashId } to pick a specific deletion (default: most recent)
+ */
+export async function restorePod(collection, number, options = {}) {
+  const candidates = (await readLiveEntries())
+    .filter((entry) => (options.trashId
+      ? entry.id === options.trashId
+      : entry.collection === collection && entry.Number === number))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+  const entry = candidates[0];
+  if (!entry) {
+    throw new NotFoundError(`No deleted pod ${number} in ${collection} found in the trash`);
+  }
+  // collection and number are what callers are authorized and audited against, so a trashId must match them
+  if (entry.collection !== collection || entry.Number !== number) {
+    throw new NotFoundError(`Trash entry ${options.trashId} is not a deletion of pod ${number} in ${collection}`);
+  }
+
+  if (await podExists(entry.collection, entry.Number)) {
+    throw new ConflictError(`Pod ${entry.Number} already exists in ${entry.collection}; delete or renumber it before restoring`);
+  }
+
+  // Gateway-managed fields (e.g. _id) are not sent back
+  const podData = Object.fromEntries(Object.entries(entry.pod).filter(([field]) => !field.startsWith('_')));
+  const result = await podsClient.createPod(entry.collection, podData);
+  await removeEntry(entry.id);
+
+  return {
+    restored: true,
+    collection: entry.collection,
+    Number: entry.Number,
+    deletedAt: entry.deletedAt,
+    pod: result,
+  };
+}
@@ -0,0 +1,147 @@
+import { config } from './config.js';
+import { ValidationError } from './errors.js';
+import { podFieldProperties, requiredPodFields, updatablePodFields } from './podSchema.js';
+
+const EMAIL_FIELDS = ['AdminLogin', 'AgentLogin', 'SupervisorLogin'];
+const PHONE_FIELDS = ['TelephoneNumber', 'SMSNumber'];
+const DATE_FIELDS = ['Test Date', 'Assigned Date'];
+
+// Values of these fields are never echoed back in error details
+const SECRET_FIELDS = ['Password', 'CRMPassword'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Check a phone number is E.164-plausible: 8 to 15 digits, no leading zero
+ * @param {number} value - Phone number without '+'
+ */
+function isPlausiblePhoneNumber(value) {
+  return Number.isInteger(value) && value > 0 && /^[1-9]\d{7,14}$/.test(String(value));
+}
+
+/**
+ * Check a string is an ISO 8601 date or date-time that parses to a real date
+ * @param {string} value - Date string
+ */
+function isIsoDate(value) {
+  if (!ISO_DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    return false;
+  }
+  // Reject calendar rollovers such as 2026-02-30
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate the value of one pod field
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateField(field, value) {
+  const expectedType = podFieldProperties[field]?.type || 'string';
+  if (typeof value !== expectedType) {
+    return `Expected a ${expectedType}`;
+  }
+
+  if (field === 'Number' && (!Number.isInteger(value) || value < 1)) {
+    return 'Pod number must be a positive integer';
+  }
+  if (EMAIL_FIELDS.includes(field) && !EMAIL_PATTERN.test(value)) {
+    return 'Expected an email address (e.g., admin1@coelab.wbx.ai)';
+  }
+  if (PHONE_FIELDS.includes(field) && !isPlausiblePhoneNumber(value)) {
+    return 'Expected an E.164 number with country code, 8-15 digits, no "+" (e.g., 16692845001)';
+  }
+  if (field === 'Status' && !config.podStatuses.includes(value)) {
+    return `Expected one of: ${config.podStatuses.join(', ')}`;
+  }
+  // Empty strings clear optional date fields
+  if (DATE_FIELDS.includes(field) && value !== '' && !isIsoDate(value)) {
+    return 'Expected an ISO 8601 date (e.g., 2026-06-08 or 2026-06-08T14:30:00Z)';
+  }
+  if (expectedType === 'string' && requiredPodFields.includes(field) && value.trim() === '') {
+    return 'Must not be empty';
+  }
+  return null;
+}
+
+/**
+ * Collect field errors for a set of pod fields
+ * @param {Object} fields - Pod fields to check
+ */
+function collectFieldErrors(fields) {
+  const errors = [];
+  for (const [field, value] of Object.entries(fields)) {
+    const message = validateField(field, value);
+    if (message) {
+      errors.push(SECRET_FIELDS.includes(field) ? { field, message } : { field, message, value });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Get field errors for a complete pod record (as passed to createPod)
+ * @param {Object} pod - Pod record
+ */
+export function getPodErrors(pod) {
+  const errors = requiredPodFields
+    .filter((field) => pod[field] === undefined || pod[field] === null)
+    .map((field) => ({ field, message: 'Required field is missing' }));
+
+  const unknown = Object.keys(pod).filter((field) => !podFieldProperties[field]);
+  for (const field of unknown) {
+    errors.push({ field, message: 'Unknown pod field' });
+  }
+
+  const known = Object.fromEntries(Object.entries(pod).filter(([field]) => podFieldProperties[field]));
+  return [...errors, ...collectFieldErrors(known)];
+}
+
+/**
+ * Get field errors for a partial update (as passed to updatePod)
+ * @param {Object} updates - Fields to update
+ */
+export function getUpdateErrors(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return [{ field: 'updates', message: 'Expected an object of fields to update' }];
+  }
+  if (Object.keys(updates).length === 0) {
+    return [{ field: 'updates', message: 'At least one field to update is required' }];
+  }
+
+  const errors = Object.keys(updates)
+    .filter((field) => !updatablePodFields.includes(field))
+    .map((field) => ({
+      field,
+      message: `Unknown or read-only field. Updatable fields: ${updatablePodFields.join(', ')}`,
+    }));
+
+  const known = Object.fromEntries(Object.entries(updates).filter(([field]) => updatablePodFields.includes(field)));
+  return [...errors, ...collectFieldErrors(known)];
+}
+
+/**
+ * Throw a ValidationError if a pod record is invalid
+ * @param {Object} pod - Pod record
+ */
+export function validatePod(pod) {
+  const errors = getPodErrors(pod);
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid pod: ${errors.length} field error(s)`, errors);
+  }
+}
+
+/**
+ * Throw a ValidationError if a pod update is invalid
+ * @param {Object} updates - Fields to update
+ */
+export function validatePodUpdates(updates) {
+  const errors = getUpdateErrors(updates);
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid pod update: ${errors.length} field error(s)`, errors);
+  }
+}
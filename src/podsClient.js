@@ -1,4 +1,7 @@
 import { config } from './config.js';
+import { tokenProvider } from './tokenProvider.js';
+import { gatewayFetch, readResponseBody } from './gatewayFetch.js';
+import { ApiError, apiErrorFromResponse } from './errors.js';
 
 /**
  * Pods API Client for Cisco API Gateway
@@ -9,48 +12,72 @@ class PodsClient {
     this.baseUrl = config.apiBaseUrl;
     this.authMode = config.authMode;
     this.apiKey = config.apiKeyPods;
-    this.jwtToken = config.jwtToken;
   }
 
   /**
    * Get authentication headers based on configured auth mode
    */
-  getAuthHeaders() {
+  async getAuthHeaders() {
     const headers = {
       'Content-Type': 'application/json',
     };
 
     if (this.authMode === 'apikey' && this.apiKey) {
       headers['x-api-key'] = this.apiKey;
-    } else if (this.authMode === 'jwt' && this.jwtToken) {
-      headers['Authorization'] = `Bearer ${this.jwtToken}`;
+    } else if (this.authMode === 'jwt') {
+      const token = await tokenProvider.getToken();
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
     }
 
     return headers;
   }
 
+  /**
+   * Send a request with current authentication headers (timeouts, retries and cancellation in gatewayFetch)
+   */
+  async send(url, options) {
+    return gatewayFetch(url, {
+      ...options,
+      headers: {
+        ...(await this.getAuthHeaders()),
+        ...options.headers,
+      },
+    });
+  }
+
   /**
    * Make API request with error handling
+   * Failures throw an ApiError subclass (see errors.js); empty bodies (e.g. 204) return null.
    */
   async makeRequest(url, options = {}) {
+    const method = options.method || 'GET';
+
     try {
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          ...this.getAuthHeaders(),
-          ...options.headers,
-        },
-      });
+      let response = await this.send(url, options);
 
-      const data = await response.json();
+      // A rejected token is refreshed and the request retried once
+      if (response.status === 401 && this.authMode === 'jwt' && tokenProvider.canRefresh()) {
+        tokenProvider.invalidate();
+        response = await this.send(url, options);
+      }
+
+      const data = await readResponseBody(response);
 
       if (!response.ok) {
-        throw new Error(data.message || `API request failed with status ${response.status}`);
+        throw apiErrorFromResponse(response, data, { method, url });
+      }
+      if (typeof data === 'string') {
+        throw new ApiError('API Gateway returned a non-JSON response', { status: response.status, body: data, method, url });
       }
 
       return data;
     } catch (error) {
-      console.error('API Request Error:', error);
+      console.error(
+        `API Request Error: ${method} ${url}:`,
+        error instanceof ApiError ? `${error.name} (${error.status ?? 'no response'}) ${error.message}` : error
+      );
       throw error;
     }
   }
@@ -0,0 +1,110 @@
+import { config } from './config.js';
+
+// Idle buckets refill to full and carry no state, so they are dropped once there are many
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Token bucket: holds up to `capacity` tokens and refills `capacity` tokens per minute
+ */
+class TokenBucket {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const refillPerMs = this.capacity / 60000;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until one token is available (0 if available now)
+   */
+  waitMs(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / (this.capacity / 60000));
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Get or create the bucket for a key
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Calls per minute
+ */
+function getBucket(key, capacity) {
+  if (!buckets.has(key)) {
+    if (buckets.size >= PRUNE_THRESHOLD) {
+      const now = Date.now();
+      for (const [name, bucket] of buckets) {
+        if (bucket.isFull(now)) {
+          buckets.delete(name);
+        }
+      }
+    }
+    buckets.set(key, new TokenBucket(capacity));
+  }
+  return buckets.get(key);
+}
+
+/**
+ * The limits that apply to a tool call, skipping any set to 0 (disabled)
+ * @param {Object} call - { callerId, sessionId, toolName, mutating }
+ */
+function applicableLimits({ callerId, sessionId, toolName, mutating }) {
+  const { perKey, perSession, perTool, perMutatingTool } = config.rateLimits;
+  const caller = callerId ? `caller:${callerId}` : `session:${sessionId}`;
+
+  return [
+    callerId && { scope: 'key', key: `caller:${callerId}`, limit: perKey },
+    sessionId && { scope: 'session', key: `session:${sessionId}`, limit: perSession },
+    { scope: 'tool', key: `tool:${caller}:${toolName}`, limit: mutating ? perMutatingTool : perTool },
+  ].filter((entry) => entry && entry.limit > 0);
+}
+
+/**
+ * Take one token from every bucket that applies to a tool call, or none if any is empty
+ * @param {Object} call - { callerId, sessionId, toolName, mutating }; callerId is the typed caller
+ *   (key:<name> or oauth:<client>) and sessionId must already be validated as the caller's session
+ * @returns {Object|null} null if allowed, else { scope, limit, retryAfterSeconds, message }
+ */
+export function takeRateLimitToken(call) {
+  const now = Date.now();
+  const limits = applicableLimits(call).map((entry) => ({
+    ...entry,
+    bucket: getBucket(`${entry.key}:${entry.limit}`, entry.limit),
+  }));
+
+  const exceeded = limits
+    .map((entry) => ({ ...entry, waitMs: entry.bucket.waitMs(now) }))
+    .filter((entry) => entry.waitMs > 0)
+    .sort((a, b) => b.waitMs - a.waitMs);
+
+  if (exceeded.length > 0) {
+    const { scope, limit, waitMs } = exceeded[0];
+    const retryAfterSeconds = Math.ceil(waitMs / 1000);
+    return {
+      scope,
+      limit,
+      retryAfterSeconds,
+      message: `Rate limit exceeded for ${call.toolName} (${scope} limit: ${limit} calls per minute). Retry after ${retryAfterSeconds}s.`,
+    };
+  }
+
+  for (const entry of limits) {
+    entry.bucket.take();
+  }
+  return null;
+}
@@ -0,0 +1,154 @@
+import { readFileSync } from 'node:fs';
+import { config } from './config.js';
+
+export const REDACTION_MODES = ['none', 'mask', 'omit'];
+
+export const MASK = '********';
+
+// Fields where the last four characters stay visible so records can still be told apart (lowercase)
+const PARTIAL_MASK_FIELDS = new Set(['phonenumber']);
+
+/**
+ * Built-in policy, used when REDACTION_POLICY_FILE is not set.
+ * fields: default mode per field name; roles: per-role overrides.
+ */
+export const DEFAULT_REDACTION_POLICY = {
+  fields: {
+    Password: 'mask',
+    CRMPassword: 'mask',
+    keyword: 'mask',
+    phoneNumber: 'mask',
+    deliveryAddress: 'mask',
+  },
+  roles: {},
+};
+
+/**
+ * Validate the modes in a field map
+ * @param {Object} fields - Field name to mode
+ * @param {string} where - Location for error messages
+ */
+function validateModes(fields, where) {
+  for (const [field, mode] of Object.entries(fields || {})) {
+    if (!REDACTION_MODES.includes(mode)) {
+      throw new Error(`Invalid redaction mode "${mode}" for ${field} in ${where}. Expected one of: ${REDACTION_MODES.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Load the redaction policy from REDACTION_POLICY_FILE, or the built-in default
+ */
+function loadRedactionPolicy() {
+  if (!config.redactionPolicyFile) {
+    return DEFAULT_REDACTION_POLICY;
+  }
+
+  const policy = JSON.parse(readFileSync(config.redactionPolicyFile, 'utf8'));
+  validateModes(policy.fields, 'fields');
+  for (const [role, fields] of Object.entries(policy.roles || {})) {
+    validateModes(fields, `roles.${role}`);
+  }
+  return { fields: policy.fields || {}, roles: policy.roles || {} };
+}
+
+const policy = loadRedactionPolicy();
+
+/**
+ * Key a field map by lowercase name, so policy fields match records case-insensitively
+ * (e.g. keyword also covers a Keyword field)
+ * @param {Object} fields - Field name to mode
+ */
+function lowercaseFields(fields = {}) {
+  return Object.fromEntries(Object.entries(fields).map(([field, mode]) => [field.toLowerCase(), mode]));
+}
+
+/**
+ * Get the effective field modes for a role (role overrides on top of field defaults), keyed by lowercase name
+ * @param {string} role - API key role, if known
+ */
+export function fieldModesForRole(role) {
+  return {
+    ...lowercaseFields(policy.fields),
+    ...lowercaseFields(role ? policy.roles[role] : {}),
+  };
+}
+
+/**
+ * Get the caller's role from MCP request context, if the transport authenticated one
+ * @param {Object} extra - MCP request handler extra
+ */
+export function resolveRole(extra) {
+  return extra?.authInfo?.extra?.role;
+}
+
+/**
+ * Mask a single value, or every leaf of a nested value (e.g. a { before, after } diff)
+ * @param {*} value - Value to mask
+ * @param {string} field - Field name the value belongs to
+ */
+function maskValue(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => maskValue(item, field));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValue(item, field)]));
+  }
+
+  const text = String(value);
+  if (PARTIAL_MASK_FIELDS.has(field.toLowerCase()) && text.length > 4) {
+    return `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+  }
+  return MASK;
+}
+
+/**
+ * Apply field modes to a value
+ * @param {*} value - Tool or resource result
+ * @param {Object} modes - Lowercase field name to mode
+ */
+function applyModes(value, modes) {
+  if (Array.isArray(value)) {
+    return value.map((item) => applyModes(item, modes));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    const mode = modes[key.toLowerCase()] || 'none';
+    if (mode === 'omit') {
+      continue;
+    }
+    output[key] = mode === 'mask' ? maskValue(item, key) : applyModes(item, modes);
+  }
+  return output;
+}
+
+/**
+ * Redact a tool or resource result according to the policy for a role
+ * @param {*} value - Result to redact
+ * @param {string} role - API key role, if known
+ */
+export function redact(value, role) {
+  return applyModes(value, fieldModesForRole(role));
+}
+
+// Always masked in audit log entries regardless of the configured policy
+const SECRET_FIELD_MODES = {
+  Password: 'mask',
+  CRMPassword: 'mask',
+  keyword: 'mask',
+};
+
+/**
+ * Redact a value for storage: the default policy plus secrets that are always masked
+ * @param {*} value - Value to redact
+ */
+export function redactSecrets(value) {
+  return applyModes(value, { ...lowercaseFields(policy.fields), ...lowercaseFields(SECRET_FIELD_MODES) });
+}
@@ -0,0 +1,309 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { podTools } from './tools/pods.js';
+import { podResources } from './resources/pods.js';
+import { retailTools } from './tools/retail.js';
+import { retailResources } from './resources/retail.js';
+import { redact, resolveRole } from './redaction.js';
+import { withAudit } from './auditLog.js';
+import { assertDryRunSupported, isDryRun, runDryRun, inputSchemaWithDryRun, withoutDryRun } from './dryRun.js';
+import { requiresConfirmation, confirmToolCall, inputSchemaWithConfirmToken } from './confirmation.js';
+import { canUseTool, assertToolAllowed, assertResourceAllowed } from './permissions.js';
+import { ApiError, CircuitOpenError, PermissionError, ValidationError } from './errors.js';
+import { runWithRequestContext } from './requestContext.js';
+
+/**
+ * Tool and resource registries
+ * Transports pick a registry and attach it to their MCP server instance,
+ * so every transport exposes exactly the same behavior.
+ */
+export const podsRegistry = {
+  name: 'cisco-mcp-pods',
+  version: '1.0.0',
+  tools: podTools,
+  resources: podResources,
+};
+
+export const retailRegistry = {
+  name: 'cisco-mcp-retail',
+  version: '1.0.0',
+  tools: retailTools,
+  resources: retailResources,
+};
+
+/**
+ * Wrap a handler result as MCP text content
+ */
+function toTextContent(result) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Compile a URI template such as 'pods://{collection}/summary' into a matcher.
+ * Each {name} matches one path segment.
+ * @param {string} uriTemplate - URI template
+ */
+function compileUriTemplate(uriTemplate) {
+  const names = [];
+  const pattern = uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const match = part.match(/^\{([^}]+)\}$/);
+      if (match) {
+        names.push(match[1]);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${pattern}$`);
+
+  return (uri) => {
+    const match = uri.match(regex);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  };
+}
+
+/**
+ * Build a matcher for each resource, by exact URI or by URI template
+ * @param {Array<Object>} resources - Registry resources
+ */
+function compileResourceRoutes(resources) {
+  return resources.map((resource) => ({
+    resource,
+    match: resource.uriTemplate
+      ? compileUriTemplate(resource.uriTemplate)
+      : (uri) => (uri === resource.uri ? {} : null),
+  }));
+}
+
+/**
+ * Find the resource serving a URI
+ * @param {Array<Object>} routes - Compiled resource routes
+ * @param {string} uri - Requested URI
+ */
+function resolveResource(routes, uri) {
+  for (const { resource, match } of routes) {
+    const params = match(uri);
+    if (params) {
+      return { resource, params };
+    }
+  }
+  return null;
+}
+
+// Guidance returned with each machine-readable error code
+const ERROR_DETAILS = {
+  NOT_FOUND: 'The requested record does not exist.',
+  CONFLICT: 'The record already exists or conflicts with its current state.',
+  VALIDATION_FAILED: 'The API Gateway rejected the input. Correct it and call the tool again.',
+  AUTH_FAILED: 'The API Gateway rejected this server\'s credentials. Check AUTH_MODE and the gateway API key or token settings.',
+  UPSTREAM_UNAVAILABLE: 'The API Gateway is unreachable or failing. Retry later.',
+  PERMISSION_DENIED: 'Not permitted for this caller.',
+  TOOL_ERROR: 'The request could not be completed. Check the arguments and try again.',
+};
+
+/**
+ * Build the structured error returned to clients.
+ * code is machine-readable: NOT_FOUND, CONFLICT, VALIDATION_FAILED, AUTH_FAILED, UPSTREAM_UNAVAILABLE,
+ * PERMISSION_DENIED, API_ERROR (other gateway errors) or TOOL_ERROR (anything else).
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackDetails - Details for API_ERROR
+ */
+function errorResponse(error, fallbackDetails) {
+  const known = error instanceof ApiError || error instanceof ValidationError || error instanceof PermissionError;
+  const code = known ? error.code : 'TOOL_ERROR';
+  const response = { error: error.message, code, details: ERROR_DETAILS[code] || fallbackDetails };
+
+  if (error.fieldErrors) {
+    response.details = 'Invalid input. Correct the listed fields and call the tool again.';
+    response.fieldErrors = error.fieldErrors;
+  }
+  if (error instanceof ApiError) {
+    response.status = error.status;
+    response.requestId = error.requestId;
+  }
+  if (error.retryAfterSeconds) {
+    response.retryAfterSeconds = error.retryAfterSeconds;
+  }
+  if (error instanceof CircuitOpenError) {
+    response.details = `The API Gateway is failing, so calls are refused without contacting it. Retry after ${error.retryAfterSeconds}s.`;
+    response.circuit = error.circuit;
+  }
+  return response;
+}
+
+/**
+ * Wrap a request handler so outbound API calls made while handling it can be cancelled with the request
+ * @param {Function} handler - MCP request handler
+ */
+function withRequestContext(handler) {
+  return (request, extra) => runWithRequestContext(extra, () => handler(request, extra));
+}
+
+/**
+ * Register list/call/read handlers for a registry on an MCP server
+ * @param {Server} server - MCP server instance
+ * @param {Object} registry - Registry with tools and resources arrays
+ * @param {Object} options - { elicitation: false } for transports whose responses cannot carry
+ *   server-to-client requests (JSON responses); confirmations then always use a confirmToken
+ */
+export function attachRegistry(server, registry, options = {}) {
+  const tools = new Map(registry.tools.map((tool) => [tool.name, tool]));
+  const resourceRoutes = compileResourceRoutes(registry.resources);
+
+  server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
+    // Scoped API keys and bearer tokens only see the tools their role allows
+    return {
+      tools: registry.tools.filter((tool) => canUseTool(tool, extra)).map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: inputSchemaWithConfirmToken(tool, inputSchemaWithDryRun(tool)),
+        annotations: tool.annotations,
+      })),
+    };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, withRequestContext(async (request, extra) => {
+    const { name } = request.params;
+    let args = request.params.arguments || {};
+
+    try {
+      const tool = tools.get(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      await assertToolAllowed(tool, args, extra);
+      // Refused before the user is asked to confirm a call that could not run
+      assertDryRunSupported(tool, args);
+
+      // Destructive tools wait for the user; dry runs change nothing so they skip the prompt
+      if (requiresConfirmation(tool) && !isDryRun(tool, args)) {
+        const gate = await confirmToolCall(server, tool, args, extra, options);
+        if (!gate.confirmed) {
+          return toTextContent(gate.response);
+        }
+        args = gate.args;
+      }
+
+      // Dry runs never reach the mutating client methods, so they are not audited
+      const result = isDryRun(tool, args)
+        ? await runDryRun(tool, args, extra)
+        : await withAudit(tool, args, extra, () => tool.handler(withoutDryRun(tool, args), extra));
+      // Tools that exist to reveal secrets opt out with redact: false
+      return toTextContent(tool.redact === false ? result : redact(result, resolveRole(extra)));
+    } catch (error) {
+      return {
+        ...toTextContent(errorResponse(
+          error,
+          'Failed to execute API request. Check if the API Gateway is running and authentication is configured correctly.'
+        )),
+        isError: true,
+      };
+    }
+  }));
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: registry.resources
+        .filter((resource) => resource.uri)
+        .map(({ uri, mimeType, name, description }) => ({
+          uri,
+          mimeType,
+          name,
+          description,
+        })),
+    };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: registry.resources
+        .filter((resource) => resource.uriTemplate)
+        .map(({ uriTemplate, mimeType, name, description }) => ({
+          uriTemplate,
+          mimeType,
+          name,
+          description,
+        })),
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, withRequestContext(async (request, extra) => {
+    const { uri } = request.params;
+
+    try {
+      const resolved = resolveResource(resourceRoutes, uri);
+      if (!resolved) {
+        throw new Error(`Unknown resource: ${uri}`);
+      }
+
+      const { resource, params } = resolved;
+      await assertResourceAllowed(params, extra);
+      const result = await resource.read({ uri, params }, extra);
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: resource.mimeType,
+            text: JSON.stringify(redact(result, resolveRole(extra)), null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(
+              errorResponse(error, 'Failed to fetch resource. Check if the API Gateway is running.'),
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+  }));
+
+  return server;
+}
+
+/**
+ * Create an MCP server instance with a registry attached
+ * @param {Object} registry - Registry to expose (podsRegistry or retailRegistry)
+ * @param {Object} options - Passed to attachRegistry
+ */
+export function createMCPServer(registry, options = {}) {
+  const server = new Server(
+    {
+      name: registry.name,
+      version: registry.version,
+    },
+    {
+      capabilities: {
+        resources: {},
+        tools: {},
+      },
+    }
+  );
+
+  return attachRegistry(server, registry, options);
+}
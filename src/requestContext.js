@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * Per-request context for the MCP call being handled (currently its abort signal).
+ * The registry runs each tool call and resource read inside it, so the API clients can
+ * cancel outbound requests without every client method taking a signal parameter.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the MCP request's context
+ * @param {Object} extra - MCP request handler extra
+ * @param {Function} fn - Function to run
+ */
+export function runWithRequestContext(extra, fn) {
+  return storage.run({ signal: extra?.signal }, fn);
+}
+
+/**
+ * Abort signal of the MCP request being handled, if any
+ */
+export function currentSignal() {
+  return storage.getStore()?.signal;
+}
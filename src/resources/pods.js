@@ -0,0 +1,58 @@
+import { podsClient } from '../podsClient.js';
+import { config } from '../config.js';
+import { getCollectionSummary } from '../podSummary.js';
+import { diffCollections } from '../collectionDiff.js';
+import { getPodTestHistory } from '../testHistory.js';
+import { tokenProvider } from '../tokenProvider.js';
+import { getGatewayStatus, getGatewayStatusLabel } from '../circuitBreaker.js';
+
+/**
+ * Pod management resources
+ * Each resource is declared once here and shared by every transport
+ */
+export const podResources = [
+  {
+    uri: 'pods://keyword',
+    mimeType: 'application/json',
+    name: 'Pod Keyword',
+    description: 'Current pod keyword/password configuration',
+    read: async () => podsClient.getPodKeyword(),
+  },
+  {
+    uri: 'pods://config',
+    mimeType: 'application/json',
+    name: 'API Configuration',
+    description: 'Current API Gateway configuration and connection status',
+    read: async () => ({
+      baseUrl: config.apiBaseUrl,
+      authMode: config.authMode,
+      hasApiKey: !!config.apiKeyPods,
+      hasJwtToken: !!config.jwtToken,
+      jwtToken: config.authMode === 'jwt' ? tokenProvider.getStatus() : undefined,
+      dryRun: config.dryRun,
+      status: getGatewayStatusLabel(),
+      circuit: getGatewayStatus(),
+    }),
+  },
+  {
+    uriTemplate: 'pods://{collection}/summary',
+    mimeType: 'application/json',
+    name: 'Collection Summary',
+    description: 'Pod counts by Status and Test Status, last test date and numbering gaps for a collection',
+    read: async ({ params }) => getCollectionSummary(params.collection),
+  },
+  {
+    uriTemplate: 'pods://diff/{left}/{right}',
+    mimeType: 'application/json',
+    name: 'Collection Diff',
+    description: 'Added, removed and changed pods between two collections or snapshots (use snapshot:<name> for a saved snapshot)',
+    read: async ({ params }) => diffCollections(params.left, params.right),
+  },
+  {
+    uriTemplate: 'pods://{collection}/{number}/tests',
+    mimeType: 'application/json',
+    name: 'Pod Test History',
+    description: 'Recorded test runs for one pod, newest first',
+    read: async ({ params }) => getPodTestHistory(params.collection, Number(params.number)),
+  },
+];
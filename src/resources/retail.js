@@ -0,0 +1,34 @@
+import { retailClient } from '../retailClient.js';
+import { config } from '../config.js';
+import { tokenProvider } from '../tokenProvider.js';
+import { getGatewayStatus, getGatewayStatusLabel } from '../circuitBreaker.js';
+
+/**
+ * Retail customer resources
+ * Each resource is declared once here and shared by every transport
+ */
+export const retailResources = [
+  {
+    uri: 'retail://customers/all',
+    mimeType: 'application/json',
+    name: 'All Retail Customers',
+    description: 'Complete list of all retail customers (first 100)',
+    read: async () => retailClient.getAllCustomers(100, 0),
+  },
+  {
+    uri: 'retail://config',
+    mimeType: 'application/json',
+    name: 'API Configuration',
+    description: 'Current API Gateway configuration and connection status',
+    read: async () => ({
+      baseUrl: config.apiBaseUrl,
+      authMode: config.authMode,
+      hasApiKey: !!config.apiKeyRetail,
+      hasJwtToken: !!config.jwtToken,
+      jwtToken: config.authMode === 'jwt' ? tokenProvider.getStatus() : undefined,
+      dryRun: config.dryRun,
+      status: getGatewayStatusLabel(),
+      circuit: getGatewayStatus(),
+    }),
+  },
+];
@@ -3,15 +3,24 @@
 import express from 'express';
 import cors from 'cors';
 import { randomUUID } from 'node:crypto';
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { requireBearerAuth } from '@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js';
+import { createMCPServer, podsRegistry } from './registry.js';
+import { exportPodsCsv, importPodsCsv } from './podCsv.js';
+import { auditSecretAccess, isMutatingTool, queryAuditLog, withAudit } from './auditLog.js';
+import { findApiKey, isAuthEnabled, loadApiKeys, toAuthInfo } from './apiKeys.js';
+import { assertRouteAllowed } from './permissions.js';
+import { resolveRole } from './redaction.js';
+import { takeRateLimitToken } from './rateLimit.js';
+import { getGatewayStatus } from './circuitBreaker.js';
 import {
-  CallToolRequestSchema,
-  ListResourcesRequestSchema,
-  ListToolsRequestSchema,
-  ReadResourceRequestSchema,
-} from '@modelcontextprotocol/sdk/types.js';
-import { podsClient } from './podsClient.js';
+  bearerTokenVerifier,
+  isOAuthEnabled,
+  loadJwks,
+  protectedResourceMetadata,
+  protectedResourceMetadataPath,
+  protectedResourceMetadataUrl,
+} from './bearerAuth.js';
 import { config } from './config.js';
 
 // In-memory event store for resumability
@@ -41,6 +50,8 @@ class InMemoryEventStore {
   }
 }
 
+loadApiKeys();
+
 // Create Express app
 const app = express();
 app.use(express.json());
@@ -49,32 +60,65 @@ app.use(cors({
   exposedHeaders: ['Mcp-Session-Id']
 }));
 
-// Authentication middleware
-function authenticateApiKey(req, res, next) {
-  // Skip auth for health endpoint
-  if (req.path === `${config.serverPath}/health` || req.path === '/') {
+// OAuth bearer tokens: the SDK middleware handles the header and error responses, our verifier checks the JWT
+const authenticateBearer = requireBearerAuth({
+  verifier: bearerTokenVerifier,
+  resourceMetadataUrl: protectedResourceMetadataUrl(),
+});
+
+// Authentication middleware: bearer token if one is sent and OAuth is configured, otherwise API key
+function authenticate(req, res, next) {
+  // Skip auth for health, root and OAuth discovery endpoints
+  if (req.path === `${config.serverPath}/health` || req.path === '/' || req.path.startsWith('/.well-known/')) {
     return next();
   }
 
-  // If no API key configured, allow all requests (backward compatibility)
-  if (!config.mcpApiKey) {
+  if (isOAuthEnabled() && /^bearer /i.test(req.headers.authorization || '')) {
+    return loadJwks().then(
+      () => authenticateBearer(req, res, next),
+      (error) => {
+        console.log(error.message);
+        res.status(503).json({
+          jsonrpc: '2.0',
+          error: {
+            code: -32603,
+            message: 'Service unavailable: the OAuth signing keys could not be loaded',
+          },
+          id: null,
+        });
+      }
+    );
+  }
+  return authenticateApiKey(req, res, next);
+}
+
+function authenticateApiKey(req, res, next) {
+  // If no API key or OAuth configured, allow all requests (backward compatibility)
+  if (!isAuthEnabled() && !isOAuthEnabled()) {
     return next();
   }
 
   const apiKey = req.headers['x-api-key'];
 
   if (!apiKey) {
+    // Point OAuth-capable clients at the metadata document so they can discover the authorization server
+    if (isOAuthEnabled()) {
+      res.set('WWW-Authenticate', `Bearer resource_metadata="${protectedResourceMetadataUrl()}"`);
+    }
     return res.status(401).json({
       jsonrpc: '2.0',
       error: {
         code: -32001,
-        message: 'Unauthorized: Missing X-API-Key header',
+        message: isOAuthEnabled()
+          ? 'Unauthorized: Missing bearer token or X-API-Key header'
+          : 'Unauthorized: Missing X-API-Key header',
       },
       id: null,
     });
   }
 
-  if (apiKey !== config.mcpApiKey) {
+  const key = findApiKey(apiKey);
+  if (!key) {
     return res.status(403).json({
       jsonrpc: '2.0',
       error: {
@@ -85,282 +129,101 @@ function authenticateApiKey(req, res, next) {
     });
   }
 
+  // Passed to MCP request handlers as extra.authInfo
+  req.auth = toAuthInfo(apiKey, key);
   next();
 }
 
+// Route guard: minimum key role, plus access to the :collection route parameter
+// (or, with filter: true, to the ?collection= filter, which scoped keys must pass)
+function requireRole(minimum, { filter = false } = {}) {
+  return (req, res, next) => {
+    const collection = filter ? req.query.collection : req.params.collection;
+    try {
+      assertRouteAllowed(req.auth, minimum, collection ? [collection] : [], { filter });
+      next();
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  };
+}
+
 // Apply authentication to all MCP endpoints
-app.use(authenticateApiKey);
+app.use(authenticate);
 
 // Map to store transports by session ID
 const transports = {};
 
-// Create MCP server instance
-function createMCPServer() {
-  const server = new Server(
-    {
-      name: 'cisco-mcp-pods',
-      version: '1.0.0',
+// Caller (see callerId) each session was initialized with
+const sessionKeys = {};
+
+// Caller identity for session ownership and rate limits. API key names and OAuth client IDs are
+// separate namespaces, so a token whose client_id equals a key name is still a different caller.
+function callerId(req) {
+  return req.auth ? `${req.auth.extra?.authType}:${req.auth.clientId}` : null;
+}
+
+// A session stays bound to the key that initialized it: reject (403) requests for it from any other caller
+function ownsSession(req, res, sessionId) {
+  if (sessionKeys[sessionId] === callerId(req)) {
+    return true;
+  }
+  res.status(403).json({
+    jsonrpc: '2.0',
+    error: {
+      code: -32002,
+      message: 'Forbidden: Session belongs to a different API key',
     },
-    {
-      capabilities: {
-        resources: {},
-        tools: {},
-      },
-    }
-  );
-
-  // Define tools for pod management
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: 'get_pod_keyword',
-          description: 'Get the pod keyword/password record. Returns the current keyword configuration.',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
-        },
-        {
-          name: 'update_pod_keyword',
-          description: 'Update the pod keyword/password record with a new value.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              keyword: { type: 'string', description: 'New keyword/password value (e.g., Cisco1234!)' },
-            },
-            required: ['keyword'],
-          },
-        },
-        {
-          name: 'get_all_pods',
-          description: 'Get all pods from a specific collection. Works with any collection name like ciscolivepods, coelabpods, testpods, etc.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collection: { type: 'string', description: 'Collection name (e.g., ciscolivepods, coelabpods)' },
-            },
-            required: ['collection'],
-          },
-        },
-        {
-          name: 'get_pod_by_number',
-          description: 'Get a specific pod by its number from a collection.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              number: { type: 'number', description: 'Pod number' },
-            },
-            required: ['collection', 'number'],
-          },
-        },
-        {
-          name: 'create_pod',
-          description: 'Create a new pod in a collection.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              Number: { type: 'number', description: 'Unique pod number' },
-              POD: { type: 'string', description: 'Pod name' },
-              AdminLogin: { type: 'string', description: 'Admin email login' },
-              AgentLogin: { type: 'string', description: 'Agent email login' },
-              SupervisorLogin: { type: 'string', description: 'Supervisor email login' },
-              Password: { type: 'string', description: 'Pod password' },
-              TelephoneNumber: { type: 'number', description: 'Telephone number' },
-              SMSNumber: { type: 'number', description: 'SMS number' },
-              Status: { type: 'string', description: 'Pod status' },
-              CRMLogin: { type: 'string', description: 'CRM username' },
-              CRMPassword: { type: 'string', description: 'CRM password' },
-              "Test Date": { type: 'string', description: 'Test date (optional)' },
-              "Test Status": { type: 'string', description: 'Test status (optional)' },
-            },
-            required: ['collection', 'Number', 'POD', 'AdminLogin', 'AgentLogin', 'SupervisorLogin', 'Password', 'TelephoneNumber', 'SMSNumber', 'Status', 'CRMLogin', 'CRMPassword'],
-          },
-        },
-        {
-          name: 'update_pod',
-          description: 'Update an existing pod in a collection.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              number: { type: 'number', description: 'Pod number' },
-              updates: {
-                type: 'object',
-                description: 'Fields to update',
-                properties: {
-                  Status: { type: 'string' },
-                  "Test Date": { type: 'string' },
-                  "Test Status": { type: 'string' },
-                  Password: { type: 'string' },
-                  CRMPassword: { type: 'string' },
-                },
-              },
-            },
-            required: ['collection', 'number', 'updates'],
-          },
-        },
-        {
-          name: 'delete_pod',
-          description: 'Delete a pod from a collection.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collection: { type: 'string', description: 'Collection name' },
-              number: { type: 'number', description: 'Pod number' },
-            },
-            required: ['collection', 'number'],
-          },
-        },
-      ],
-    };
+    id: null,
   });
+  return false;
+}
 
-  // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+// Rate limit tools/call per API key, session and tool before anything reaches the API clients
+function rateLimitToolCalls(req, res, next) {
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
 
-    try {
-      switch (name) {
-        case 'get_pod_keyword': {
-          const result = await podsClient.getPodKeyword();
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'update_pod_keyword': {
-          const result = await podsClient.updatePodKeyword(args.keyword);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'get_all_pods': {
-          const result = await podsClient.getAllPods(args.collection);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'get_pod_by_number': {
-          const result = await podsClient.getPodByNumber(args.collection, args.number);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'create_pod': {
-          const { collection, ...podData } = args;
-          const result = await podsClient.createPod(collection, podData);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'update_pod': {
-          const result = await podsClient.updatePod(args.collection, args.number, args.updates);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        case 'delete_pod': {
-          const result = await podsClient.deletePod(args.collection, args.number);
-          return {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          };
-        }
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              error: error.message,
-              details: 'Failed to execute API request.',
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-  });
+  // Tool calls only run in a live session of this caller; anything else is rejected by the MCP handler
+  // without being charged, so made-up or other callers' session IDs cannot drain buckets
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId || !transports[sessionId] || sessionKeys[sessionId] !== callerId(req)) {
+    return next();
+  }
 
-  // Define resources
-  server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return {
-      resources: [
-        {
-          uri: 'pods://keyword',
-          mimeType: 'application/json',
-          name: 'Pod Keyword',
-          description: 'Current pod keyword/password configuration',
-        },
-        {
-          uri: 'pods://config',
-          mimeType: 'application/json',
-          name: 'API Configuration',
-          description: 'Current API Gateway configuration and connection status',
-        },
-      ],
-    };
-  });
+  for (const message of messages) {
+    if (message?.method !== 'tools/call') {
+      continue;
+    }
 
-  // Handle resource reads
-  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const { uri } = request.params;
+    const toolName = message.params?.name;
+    const tool = podsRegistry.tools.find((candidate) => candidate.name === toolName);
+    const limited = takeRateLimitToken({
+      callerId: callerId(req),
+      sessionId,
+      toolName,
+      mutating: Boolean(tool && isMutatingTool(tool)),
+    });
 
-    try {
-      switch (uri) {
-        case 'pods://keyword': {
-          const result = await podsClient.getPodKeyword();
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify(result, null, 2),
-              },
-            ],
-          };
-        }
-        case 'pods://config': {
-          return {
-            contents: [
-              {
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify({
-                  baseUrl: config.apiBaseUrl,
-                  authMode: config.authMode,
-                  hasApiKey: !!config.apiKeyPods,
-                  hasJwtToken: !!config.jwtToken,
-                  status: 'Connected',
-                }, null, 2),
-              },
-            ],
-          };
-        }
-        default:
-          throw new Error(`Unknown resource: ${uri}`);
-      }
-    } catch (error) {
-      return {
-        contents: [
-          {
-            uri,
-            mimeType: 'application/json',
-            text: JSON.stringify({
-              error: error.message,
-              details: 'Failed to fetch resource.',
-            }, null, 2),
+    if (limited) {
+      console.log(`Rate limited ${toolName} for ${callerId(req) || sessionId}: ${limited.message}`);
+      res.set('Retry-After', String(limited.retryAfterSeconds));
+      return res.status(429).json({
+        jsonrpc: '2.0',
+        error: {
+          code: -32003,
+          message: limited.message,
+          data: {
+            scope: limited.scope,
+            limit: limited.limit,
+            retryAfterSeconds: limited.retryAfterSeconds,
           },
-        ],
-      };
+        },
+        id: message.id ?? null,
+      });
     }
-  });
+  }
 
-  return server;
+  next();
 }
 
 // Helper to check if request is an initialize request
@@ -370,18 +233,101 @@ function isInitializeRequest(body) {
 
 // Health check endpoint
 app.get(`${config.serverPath}/health`, (req, res) => {
+  const gateway = getGatewayStatus();
   res.json({
-    status: 'healthy',
+    // The MCP server is up either way; degraded means tool calls are failing fast
+    status: gateway.state === 'closed' ? 'healthy' : 'degraded',
     service: 'cisco-mcp-pods',
     version: '1.0.0',
     transport: 'streamable-http',
     apiBaseUrl: config.apiBaseUrl,
+    gateway,
     timestamp: new Date().toISOString(),
   });
 });
 
+// OAuth protected-resource metadata (RFC 9728)
+app.get(protectedResourceMetadataPath(), (req, res) => {
+  if (!isOAuthEnabled()) {
+    res.status(404).json({ error: 'OAuth is not configured on this server' });
+    return;
+  }
+  res.json(protectedResourceMetadata());
+});
+
+// CSV export of a pod collection, redacted for the caller's role.
+// ?reveal=true returns unredacted secrets to admin keys only, and is audited.
+app.get(`${config.serverPath}/pods/:collection/export.csv`, requireRole('proctor'), async (req, res) => {
+  const reveal = req.query.reveal === 'true';
+  if (reveal) {
+    try {
+      assertRouteAllowed(req.auth, 'admin');
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+      return;
+    }
+  }
+
+  try {
+    const extra = { authInfo: req.auth, requestInfo: { headers: req.headers } };
+    const csv = await exportPodsCsv(req.params.collection, { redacted: !reveal, role: resolveRole(extra) });
+    if (reveal) {
+      await auditSecretAccess('export_pods_csv_reveal', { collection: req.params.collection }, extra);
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${req.params.collection}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting pods CSV:', error);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// CSV import into a pod collection (?mode=create|upsert)
+app.post(
+  `${config.serverPath}/pods/:collection/import`,
+  requireRole('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      res.status(400).json({ error: 'Request body must be CSV text (Content-Type: text/csv)' });
+      return;
+    }
+
+    try {
+      // Audited like the import_pods_csv tool, attributed to the route's caller
+      const tool = podsRegistry.tools.find((candidate) => candidate.name === 'import_pods_csv');
+      const args = { collection: req.params.collection, csv: req.body, mode: req.query.mode || 'create' };
+      const extra = { authInfo: req.auth, requestInfo: { headers: req.headers } };
+      const report = await withAudit(tool, args, extra, () => importPodsCsv(args.collection, args.csv, args.mode));
+      res.status(report.imported ? 200 : 422).json(report);
+    } catch (error) {
+      console.error('Error importing pods CSV:', error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Admin: audit log of mutating tool calls
+// ?collection=&pod=&tool=&since=&until=&limit=
+app.get(`${config.serverPath}/admin/audit`, requireRole('admin', { filter: true }), async (req, res) => {
+  try {
+    const result = await queryAuditLog({
+      collection: req.query.collection,
+      number: req.query.pod !== undefined ? Number(req.query.pod) : undefined,
+      tool: req.query.tool,
+      since: req.query.since,
+      until: req.query.until,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // MCP POST endpoint for requests
-app.post(`${config.serverPath}/mcp`, async (req, res) => {
+app.post(`${config.serverPath}/mcp`, rateLimitToolCalls, async (req, res) => {
   const sessionId = req.headers['mcp-session-id'];
 
   if (sessionId) {
@@ -392,6 +338,10 @@ app.post(`${config.serverPath}/mcp`, async (req, res) => {
     let transport;
 
     if (sessionId && transports[sessionId]) {
+      if (!ownsSession(req, res, sessionId)) {
+        return;
+      }
+
       // Reuse existing transport
       transport = transports[sessionId];
     } else if (!sessionId && isInitializeRequest(req.body)) {
@@ -402,8 +352,9 @@ app.post(`${config.serverPath}/mcp`, async (req, res) => {
         eventStore,
         enableJsonResponse: true, // Return JSON instead of SSE streams for better compatibility
         onsessioninitialized: (sid) => {
-          console.log(`Session initialized with ID: ${sid}`);
+          console.log(`Session initialized with ID: ${sid} (caller: ${callerId(req) || 'none'})`);
           transports[sid] = transport;
+          sessionKeys[sid] = callerId(req);
         },
       });
 
@@ -412,10 +363,12 @@ app.post(`${config.serverPath}/mcp`, async (req, res) => {
         if (sid && transports[sid]) {
           console.log(`Transport closed for session ${sid}`);
           delete transports[sid];
+          delete sessionKeys[sid];
         }
       };
 
-      const server = createMCPServer();
+      // JSON responses cannot carry elicitation requests, so confirmations use confirmToken
+      const server = createMCPServer(podsRegistry, { elicitation: false });
       await server.connect(transport);
       await transport.handleRequest(req, res, req.body);
       return;
@@ -455,6 +408,9 @@ app.get(`${config.serverPath}/mcp`, async (req, res) => {
     res.status(400).send('Invalid or missing session ID');
     return;
   }
+  if (!ownsSession(req, res, sessionId)) {
+    return;
+  }
 
   const lastEventId = req.headers['last-event-id'];
   if (lastEventId) {
@@ -475,6 +431,9 @@ app.delete(`${config.serverPath}/mcp`, async (req, res) => {
     res.status(400).send('Invalid or missing session ID');
     return;
   }
+  if (!ownsSession(req, res, sessionId)) {
+    return;
+  }
 
   console.log(`Received session termination request for session ${sessionId}`);
 
@@ -498,6 +457,10 @@ app.get('/', (req, res) => {
     endpoints: {
       health: `${config.serverPath}/health`,
       mcp: `${config.serverPath}/mcp`,
+      podsCsvExport: `${config.serverPath}/pods/{collection}/export.csv`,
+      podsCsvImport: `${config.serverPath}/pods/{collection}/import`,
+      auditLog: `${config.serverPath}/admin/audit`,
+      oauthProtectedResource: protectedResourceMetadataPath(),
     },
     documentation: 'See README.md for usage instructions',
   });
@@ -519,6 +482,9 @@ app.listen(PORT, (error) => {
   console.log('='.repeat(60));
   console.log(`🌐 API Gateway: ${config.apiBaseUrl}`);
   console.log(`🔐 Auth Mode: ${config.authMode}`);
+  if (isOAuthEnabled()) {
+    console.log(`🔑 OAuth Issuer: ${config.oauth.issuer} (metadata: ${protectedResourceMetadataUrl()})`);
+  }
   console.log('='.repeat(60));
   console.log('✅ Server ready for Streamable HTTP connections');
   console.log('');
@@ -0,0 +1,97 @@
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { config } from './config.js';
+import { podsClient } from './podsClient.js';
+import { ConflictError, NotFoundError } from './errors.js';
+
+const SNAPSHOT_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Directory holding saved collection snapshots
+ */
+function snapshotDir() {
+  return join(config.dataDir, 'snapshots');
+}
+
+/**
+ * Resolve a snapshot name to its file path, rejecting anything that could escape the directory
+ * @param {string} name - Snapshot name (without .json)
+ */
+function snapshotPath(name) {
+  if (!SNAPSHOT_NAME_PATTERN.test(name) || name.includes('..')) {
+    throw new Error(`Invalid snapshot name "${name}"`);
+  }
+  return join(snapshotDir(), `${name}.json`);
+}
+
+/**
+ * Save the current state of a collection to a snapshot file.
+ * Snapshots keep full pod records, plaintext passwords included (so diffs can show rotations),
+ * so the directory and files are readable by the server's user only.
+ * @param {string} collection - Collection name
+ * @param {string} name - Optional snapshot name (default: <collection>-<timestamp>)
+ * @param {Object} options - { overwrite } to replace an existing snapshot with the same name
+ */
+export async function saveSnapshot(collection, name, options = {}) {
+  const takenAt = new Date().toISOString();
+  const snapshotName = name || `${collection}-${takenAt.replace(/[:.]/g, '-')}`;
+  const path = snapshotPath(snapshotName);
+  const pods = await podsClient.getAllPods(collection);
+
+  await mkdir(snapshotDir(), { recursive: true, mode: 0o700 });
+  try {
+    await writeFile(path, JSON.stringify({ collection, takenAt, pods }, null, 2), {
+      mode: 0o600,
+      flag: options.overwrite ? 'w' : 'wx',
+    });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new ConflictError(`Snapshot "${snapshotName}" already exists; pass overwrite: true to replace it`);
+    }
+    throw error;
+  }
+
+  return { name: snapshotName, collection, takenAt, count: pods.length };
+}
+
+/**
+ * Load a saved snapshot
+ * @param {string} name - Snapshot name
+ */
+export async function loadSnapshot(name) {
+  try {
+    return JSON.parse(await readFile(snapshotPath(name), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NotFoundError(`Snapshot "${name}" not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List saved snapshots, newest first
+ * @param {string} collection - Optional collection to filter by
+ */
+export async function listSnapshots(collection) {
+  let files;
+  try {
+    files = await readdir(snapshotDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const file of files.filter((f) => f.endsWith('.json'))) {
+    const name = file.slice(0, -'.json'.length);
+    const snapshot = await loadSnapshot(name);
+    if (!collection || snapshot.collection === collection) {
+      snapshots.push({ name, collection: snapshot.collection, takenAt: snapshot.takenAt, count: snapshot.pods.length });
+    }
+  }
+
+  return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+}
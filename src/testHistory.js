@@ -0,0 +1,89 @@
+import { join } from 'node:path';
+import { config } from './config.js';
+import { podsClient } from './podsClient.js';
+import { JsonlStore } from './jsonlStore.js';
+import { validatePodUpdates } from './podValidation.js';
+
+const store = new JsonlStore(join(config.dataDir, 'test-history.jsonl'));
+
+/**
+ * Treat any status containing "fail" (failed, FAIL, failure) as a failed run
+ * @param {string} status - Test status
+ */
+function isFailure(status) {
+  return /fail/i.test(String(status || ''));
+}
+
+/**
+ * Record a pod test result: update the pod's "Test Date"/"Test Status" and append to the history
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {Object} result - { status, date, notes, tester }
+ */
+export async function recordPodTest(collection, number, result) {
+  const date = result.date || new Date().toISOString();
+  const updates = { 'Test Date': date, 'Test Status': result.status };
+  validatePodUpdates(updates);
+
+  const pod = await podsClient.updatePod(collection, number, updates);
+
+  const entry = await store.append({
+    collection,
+    Number: number,
+    status: result.status,
+    date,
+    notes: result.notes,
+    tester: result.tester,
+    recordedAt: new Date().toISOString(),
+  });
+
+  return { recorded: entry, pod };
+}
+
+/**
+ * Get the recorded test runs for one pod, newest first
+ * @param {string} collection - Collection name
+ * @param {number} number - Pod number
+ * @param {number} limit - Maximum number of runs to return
+ */
+export async function getPodTestHistory(collection, number, limit = 50) {
+  const entries = (await store.readAll())
+    .filter((entry) => entry.collection === collection && entry.Number === number)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+  return {
+    collection,
+    Number: number,
+    runs: entries.length,
+    failures: entries.filter((entry) => isFailure(entry.status)).length,
+    history: entries.slice(0, limit),
+  };
+}
+
+/**
+ * Summarize test history per pod for a collection, most failures first
+ * @param {string} collection - Collection name
+ */
+export async function getCollectionTestHistory(collection) {
+  const byPod = new Map();
+  for (const entry of await store.readAll()) {
+    if (entry.collection !== collection) continue;
+    const pod = byPod.get(entry.Number) || { Number: entry.Number, runs: 0, failures: 0, lastStatus: null, lastDate: null };
+    pod.runs++;
+    if (isFailure(entry.status)) pod.failures++;
+    if (!pod.lastDate || String(entry.date) >= pod.lastDate) {
+      pod.lastDate = entry.date;
+      pod.lastStatus = entry.status;
+    }
+    byPod.set(entry.Number, pod);
+  }
+
+  const pods = [...byPod.values()].sort((a, b) => b.failures - a.failures || a.Number - b.Number);
+  return {
+    collection,
+    podsTested: pods.length,
+    // Pods that have both passed and failed are flaky
+    flaky: pods.filter((pod) => pod.failures > 0 && pod.failures < pod.runs).map((pod) => pod.Number),
+    pods,
+  };
+}
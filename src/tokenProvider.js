@@ -0,0 +1,154 @@
+import { config } from './config.js';
+import { gatewayFetch } from './gatewayFetch.js';
+import { ApiError, AuthError, UpstreamUnavailableError } from './errors.js';
+
+// Tokens without expires_in (or an exp claim) are reused for this long
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 300;
+
+/**
+ * Read the exp claim of a JWT access token, if it is one
+ * @param {string} token - Access token
+ */
+function jwtExpiry(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classify a failed token request: rejected client credentials are an AuthError,
+ * an unavailable or misbehaving token endpoint is an UpstreamUnavailableError
+ * @param {Response} response - fetch response
+ * @param {Object} data - Parsed response body ({} if it was not JSON)
+ * @param {string} tokenUrl - Token endpoint
+ */
+function tokenRequestError(response, data, tokenUrl) {
+  const { status } = response;
+  const details = { status, body: data, method: 'POST', url: tokenUrl };
+  if (response.ok) {
+    return new UpstreamUnavailableError(`Token response from ${tokenUrl} has no access_token`, details);
+  }
+
+  const message = `Token request to ${tokenUrl} failed with status ${status}${data.error ? `: ${data.error}` : ''}`;
+  if (status === 400 || status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+  if (status === 429 || status >= 500) {
+    const retryAfter = Number(response.headers.get('retry-after'));
+    return new UpstreamUnavailableError(message, {
+      ...details,
+      retryAfterSeconds: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+    });
+  }
+  return new ApiError(message, details);
+}
+
+/**
+ * Bearer tokens for the API Gateway in AUTH_MODE=jwt.
+ * With GATEWAY_TOKEN_URL set, tokens come from the OAuth client-credentials grant and are cached
+ * until shortly before they expire; otherwise the static JWT_TOKEN is used.
+ * Shared by PodsClient and RetailClient.
+ */
+class TokenProvider {
+  constructor() {
+    this.cached = null;
+    this.pending = null;
+  }
+
+  /**
+   * Whether tokens are fetched (and can be refreshed) rather than the static JWT_TOKEN
+   */
+  canRefresh() {
+    return Boolean(config.gatewayToken.tokenUrl);
+  }
+
+  /**
+   * Get a token, fetching a new one if none is cached or the cached one is about to expire.
+   * Concurrent callers share one token request.
+   */
+  async getToken() {
+    if (!this.canRefresh()) {
+      return config.jwtToken;
+    }
+    if (this.cached && Date.now() < this.cached.refreshAt) {
+      return this.cached.token;
+    }
+
+    this.pending ||= this.fetchToken().finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  /**
+   * Drop the cached token (e.g. after the gateway rejected it with 401)
+   */
+  invalidate() {
+    this.cached = null;
+  }
+
+  /**
+   * Request a token with the client-credentials grant (client_secret_basic)
+   */
+  async fetchToken() {
+    const { tokenUrl, clientId, clientSecret, scope, audience, refreshMarginSeconds } = config.gatewayToken;
+
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (scope) {
+      body.set('scope', scope);
+    }
+    if (audience) {
+      body.set('audience', audience);
+    }
+
+    const credentials = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64');
+    const response = await gatewayFetch(tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json',
+        'Authorization': `Basic ${credentials}`,
+      },
+      body,
+      // Shared by concurrent tool calls, so one caller cancelling must not fail the others
+      signal: null,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw tokenRequestError(response, data, tokenUrl);
+    }
+
+    const now = Date.now();
+    const expiresAt = data.expires_in
+      ? now + data.expires_in * 1000
+      : jwtExpiry(data.access_token) || now + DEFAULT_TOKEN_LIFETIME_SECONDS * 1000;
+    // Refresh a margin before expiry, or halfway through lifetimes shorter than twice the margin
+    const lifetime = expiresAt - now;
+    const refreshAt = expiresAt - Math.min(refreshMarginSeconds * 1000, lifetime / 2);
+
+    this.cached = { token: data.access_token, expiresAt, refreshAt };
+    console.error(`Fetched API Gateway token (expires ${new Date(expiresAt).toISOString()})`);
+    return data.access_token;
+  }
+
+  /**
+   * Token status for configuration resources (never the token itself)
+   */
+  getStatus() {
+    if (!this.canRefresh()) {
+      return { source: 'static', configured: Boolean(config.jwtToken) };
+    }
+    return {
+      source: 'client-credentials',
+      configured: true,
+      expiresAt: this.cached ? new Date(this.cached.expiresAt).toISOString() : null,
+    };
+  }
+}
+
+// Export singleton instance
+export const tokenProvider = new TokenProvider();
@@ -0,0 +1,774 @@
+import { podsClient } from '../podsClient.js';
+import { assignNextAvailablePod } from '../podAssignment.js';
+import { createPodRange } from '../podProvisioning.js';
+import { exportPodsCsv, importPodsCsv, summarizeCsv, IMPORT_MODES } from '../podCsv.js';
+import { getCollectionSummary } from '../podSummary.js';
+import { releasePod, releaseAllPods, previewReleaseAllPods, getCurrentKeyword, PASSWORD_SOURCES } from '../podRelease.js';
+import { previewKeywordRotation, rotateKeyword } from '../keywordRotation.js';
+import { cloneCollection, CLONE_PASSWORD_SOURCES } from '../collectionClone.js';
+import { diffCollections } from '../collectionDiff.js';
+import { saveSnapshot, listSnapshots } from '../snapshots.js';
+import { recordPodTest, getPodTestHistory, getCollectionTestHistory } from '../testHistory.js';
+import { auditSecretAccess, queryAuditLog, callerIdentity } from '../auditLog.js';
+import { softDeletePod, listDeletedPods, restorePod } from '../podTrash.js';
+import { hasQueryArguments, queryPods } from '../podQuery.js';
+import { resolveRole } from '../redaction.js';
+import { validatePod, validatePodUpdates } from '../podValidation.js';
+import { podFieldProperties, requiredPodFields, updatablePodFieldProperties } from '../podSchema.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * Fetch a pod, or null if it does not exist
+ */
+async function findPod(collection, number) {
+  try {
+    return await podsClient.getPodByNumber(collection, number);
+  } catch (error) {
+    // Only a missing pod means "not found"; an unreachable gateway must not look like one
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pod management tools
+ * Each tool is declared once here and shared by every transport
+ */
+export const podTools = [
+  {
+    name: 'get_pod_keyword',
+    description: 'Get the pod keyword/password record. Returns the current keyword configuration.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    annotations: { readOnlyHint: true },
+    handler: async () => podsClient.getPodKeyword(),
+  },
+  {
+    name: 'update_pod_keyword',
+    description: 'Update the pod keyword/password record with a new value.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keyword: {
+          type: 'string',
+          description: 'New keyword/password value (e.g., Cisco1234!)',
+        },
+      },
+      required: ['keyword'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    role: 'admin',
+    auditTarget: () => ({ keyword: true }),
+    preview: async (args) => {
+      const before = await podsClient.getPodKeyword();
+      return { before, after: { ...before, keyword: args.keyword } };
+    },
+    handler: async (args) => podsClient.updatePodKeyword(args.keyword),
+  },
+  {
+    name: 'get_all_pods',
+    description: 'Get all pods from a specific collection. Works with any collection name like ciscolivepods, coelabpods, testpods, etc. Optional filter, sort, fields and limit/cursor arguments narrow the result; when any of them is given the response is { total, count, nextCursor, pods }.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (e.g., ciscolivepods, coelabpods, testpods)',
+        },
+        filter: {
+          type: 'object',
+          description: 'Only return pods matching every given criterion',
+          properties: {
+            Status: { type: 'string', description: 'Pod status, case-insensitive (e.g., unassigned)' },
+            "Test Status": { type: 'string', description: 'Test status, case-insensitive (e.g., failed)' },
+            numberMin: { type: 'number', description: 'Lowest pod number (inclusive)' },
+            numberMax: { type: 'number', description: 'Highest pod number (inclusive)' },
+            login: { type: 'string', description: 'Substring matched against Admin, Agent, Supervisor and CRM logins' },
+          },
+        },
+        sort: {
+          type: 'object',
+          description: 'Sort order',
+          properties: {
+            field: { type: 'string', description: 'Pod field to sort by (e.g., Number, "Test Date")' },
+            order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction (default: asc)' },
+          },
+          required: ['field'],
+        },
+        fields: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only include these pod fields in each record (e.g., ["Number", "Status"])',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of pods to return',
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor value from a previous response, to fetch the next page',
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => {
+      const pods = await podsClient.getAllPods(args.collection);
+      return hasQueryArguments(args) ? queryPods(pods, args) : pods;
+    },
+  },
+  {
+    name: 'get_pod_by_number',
+    description: 'Get a specific pod by its number from a collection. Returns pod details including login credentials, phone numbers, and status.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (e.g., ciscolivepods)',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number (e.g., 1, 2, 3)',
+        },
+      },
+      required: ['collection', 'number'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => podsClient.getPodByNumber(args.collection, args.number),
+  },
+  {
+    name: 'create_pod',
+    description: 'Create a new pod in a collection. All required fields must be provided.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name to add the pod to',
+        },
+        ...podFieldProperties,
+      },
+      required: ['collection', ...requiredPodFields],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    auditTarget: (args) => ({ collection: args.collection, number: args.Number }),
+    preview: async (args) => {
+      const { collection, ...podData } = args;
+      validatePod(podData);
+      const existing = await findPod(collection, podData.Number);
+      return existing
+        ? { collection, warning: `Pod ${podData.Number} already exists; create would fail`, before: existing, after: existing }
+        : { collection, before: null, after: podData };
+    },
+    handler: async (args) => {
+      const { collection, ...podData } = args;
+      validatePod(podData);
+      return podsClient.createPod(collection, podData);
+    },
+  },
+  {
+    name: 'update_pod',
+    description: 'Update an existing pod in a collection. Can update status, credentials, test information, etc. Unknown fields are rejected.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number to update',
+        },
+        updates: {
+          type: 'object',
+          description: 'Fields to update',
+          properties: updatablePodFieldProperties,
+          additionalProperties: false,
+        },
+      },
+      required: ['collection', 'number', 'updates'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    auditTarget: (args) => ({ collection: args.collection, number: args.number }),
+    preview: async (args) => {
+      validatePodUpdates(args.updates);
+      const before = await podsClient.getPodByNumber(args.collection, args.number);
+      return { collection: args.collection, before, after: { ...before, ...args.updates } };
+    },
+    handler: async (args) => {
+      validatePodUpdates(args.updates);
+      return podsClient.updatePod(args.collection, args.number, args.updates);
+    },
+  },
+  {
+    name: 'delete_pod',
+    description: 'Delete a pod from a collection by its number. The full record is kept in a local trash first and can be brought back with restore_pod during the retention period.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number to delete',
+        },
+      },
+      required: ['collection', 'number'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    role: 'admin',
+    auditTarget: (args) => ({ collection: args.collection, number: args.number }),
+    preview: async (args) => ({
+      collection: args.collection,
+      before: await podsClient.getPodByNumber(args.collection, args.number),
+      after: null,
+    }),
+    handler: async (args, extra) => softDeletePod(args.collection, args.number, {
+      deletedBy: callerIdentity(extra),
+    }),
+  },
+  {
+    name: 'assign_next_available_pod',
+    description: 'Assign the lowest-numbered unassigned pod in a collection to an attendee. The claim is verified after writing and retried on the next pod if another caller took it first. Returns the assigned pod including its logins; passwords follow the redaction policy (use reveal_pod_credentials for the actual secrets).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (e.g., ciscolivepods)',
+        },
+        assignee: {
+          type: 'string',
+          description: 'Name or email of the attendee receiving the pod',
+        },
+        maxAttempts: {
+          type: 'number',
+          description: 'Maximum number of pods to try claiming (default: 5)',
+          default: 5,
+        },
+      },
+      required: ['collection', 'assignee'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    handler: async (args) => assignNextAvailablePod(args.collection, args.assignee, {
+      maxAttempts: args.maxAttempts,
+    }),
+  },
+  {
+    name: 'create_pod_range',
+    description: 'Create every pod in a numbered range from a naming template. Use {n} in template strings for the pod number; phone numbers are a base number plus the pod number. Existing pod numbers are skipped. Returns a per-pod report.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name to add the pods to',
+        },
+        start: {
+          type: 'number',
+          description: 'First pod number (inclusive)',
+        },
+        end: {
+          type: 'number',
+          description: 'Last pod number (inclusive)',
+        },
+        template: {
+          type: 'object',
+          description: 'Naming template applied to each pod number',
+          properties: {
+            POD: { type: 'string', description: 'Pod name template (e.g., Pod{n})' },
+            AdminLogin: { type: 'string', description: 'Admin login template (e.g., admin{n}@coelab.wbx.ai)' },
+            AgentLogin: { type: 'string', description: 'Agent login template (e.g., agent{n}@coelab.wbx.ai)' },
+            SupervisorLogin: { type: 'string', description: 'Supervisor login template (e.g., supervisor{n}@coelab.wbx.ai)' },
+            Password: { type: 'string', description: 'Pod password (may contain {n})' },
+            CRMLogin: { type: 'string', description: 'CRM username template' },
+            CRMPassword: { type: 'string', description: 'CRM password (may contain {n})' },
+            TelephoneNumberBase: { type: 'number', description: 'Base telephone number; pod number is added (e.g., 16692845000)' },
+            SMSNumberBase: { type: 'number', description: 'Base SMS number; pod number is added (e.g., 14085386000)' },
+            Status: { type: 'string', description: 'Initial pod status (default: unassigned)' },
+          },
+          required: ['POD', 'AdminLogin', 'AgentLogin', 'SupervisorLogin', 'Password', 'CRMLogin', 'CRMPassword', 'TelephoneNumberBase', 'SMSNumberBase'],
+        },
+      },
+      required: ['collection', 'start', 'end', 'template'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    role: 'admin',
+    handler: async (args) => createPodRange(args.collection, args.start, args.end, args.template),
+  },
+  {
+    name: 'export_pods_csv',
+    description: 'Export all pods in a collection as CSV, one column per pod field (including "Test Date" and "Test Status"). Credential columns follow the redaction policy.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (e.g., ciscolivepods)',
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args, extra) => ({
+      collection: args.collection,
+      csv: await exportPodsCsv(args.collection, { redacted: true, role: resolveRole(extra) }),
+    }),
+  },
+  {
+    name: 'import_pods_csv',
+    description: 'Import pods into a collection from CSV text with a header row naming pod fields. Every row is validated first; if any row is invalid nothing is written. In create mode existing pods are skipped, in upsert mode they are updated. Returns a per-row report.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name to import into',
+        },
+        csv: {
+          type: 'string',
+          description: 'CSV text with a header row (e.g., Number,POD,AdminLogin,...)',
+        },
+        mode: {
+          type: 'string',
+          enum: IMPORT_MODES,
+          description: 'create (skip existing pods) or upsert (update existing pods). Default: create',
+          default: 'create',
+        },
+      },
+      required: ['collection', 'csv'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    role: 'admin',
+    // The CSV carries plaintext credentials, so the audit log keeps only a summary of it
+    auditArgs: (args) => ({ ...args, csv: summarizeCsv(args.csv) }),
+    handler: async (args) => importPodsCsv(args.collection, args.csv, args.mode),
+  },
+  {
+    name: 'get_collection_summary',
+    description: 'Get utilization statistics for a collection: pod counts by Status and "Test Status", the most recent test date, and gaps in pod numbering. Returns no individual pod records.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (e.g., coelabpods)',
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => getCollectionSummary(args.collection),
+  },
+  {
+    name: 'release_pod',
+    description: 'Release a pod after an attendee finishes: set Status to unassigned, rotate Password and CRMPassword, and clear test and assignment fields. Returns a before/after diff.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number to release',
+        },
+        passwordSource: {
+          type: 'string',
+          enum: PASSWORD_SOURCES,
+          description: 'generate (new random password) or keyword (current pod keyword). Default: generate',
+          default: 'generate',
+        },
+      },
+      required: ['collection', 'number'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+    auditTarget: (args) => ({ collection: args.collection, number: args.number }),
+    handler: async (args) => releasePod(args.collection, args.number, {
+      passwordSource: args.passwordSource,
+    }),
+  },
+  {
+    name: 'release_all_pods',
+    description: 'Release every assigned pod in a collection (reset Status, rotate passwords, clear test and assignment fields). Returns a per-pod before/after diff.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        passwordSource: {
+          type: 'string',
+          enum: PASSWORD_SOURCES,
+          description: 'generate (new random password per pod) or keyword (current pod keyword). Default: generate',
+          default: 'generate',
+        },
+        includeUnassigned: {
+          type: 'boolean',
+          description: 'Also reset pods that are already unassigned (default: false)',
+          default: false,
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+    role: 'admin',
+    preview: async (args) => previewReleaseAllPods(args.collection, {
+      passwordSource: args.passwordSource,
+      includeUnassigned: args.includeUnassigned,
+    }),
+    handler: async (args) => releaseAllPods(args.collection, {
+      passwordSource: args.passwordSource,
+      includeUnassigned: args.includeUnassigned,
+    }),
+  },
+  {
+    name: 'rotate_keyword',
+    description: 'Set a new pod keyword (supplied, or generated by the password policy) and optionally push it to the Password field of every pod in one or more collections. If any pod update fails, updated pods and the keyword are rolled back unless rollbackOnFailure is false. Reports what was updated.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keyword: {
+          type: 'string',
+          description: 'New keyword/password value. Omit to generate one',
+        },
+        collections: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Collections whose pod passwords should be set to the new keyword (e.g., ["coelabpods"])',
+        },
+        rollbackOnFailure: {
+          type: 'boolean',
+          description: 'Restore previous passwords and keyword if any pod update fails (default: true)',
+          default: true,
+        },
+      },
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+    role: 'admin',
+    auditTarget: () => ({ keyword: true }),
+    preview: async (args) => previewKeywordRotation({
+      keyword: args.keyword,
+      collections: args.collections,
+    }),
+    handler: async (args) => rotateKeyword({
+      keyword: args.keyword,
+      collections: args.collections,
+      rollbackOnFailure: args.rollbackOnFailure,
+    }),
+  },
+  {
+    name: 'reveal_pod_credentials',
+    description: 'Reveal unredacted credentials. Other tools mask passwords; use this only when a person needs the actual secret. With collection and number, returns that pod\'s logins and passwords; with neither, returns the current pod keyword.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name (omit together with number to reveal the pod keyword)',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number',
+        },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    role: 'proctor',
+    redact: false,
+    handler: async (args, extra) => {
+      if ((args.collection === undefined) !== (args.number === undefined)) {
+        throw new Error('Provide both collection and number, or neither to reveal the pod keyword');
+      }
+      if (args.collection === undefined) {
+        const keyword = await getCurrentKeyword();
+        await auditSecretAccess('reveal_pod_credentials', args, extra);
+        return { keyword };
+      }
+
+      const pod = await podsClient.getPodByNumber(args.collection, args.number);
+      await auditSecretAccess('reveal_pod_credentials', args, extra);
+      return {
+        collection: args.collection,
+        Number: pod.Number,
+        POD: pod.POD,
+        AdminLogin: pod.AdminLogin,
+        AgentLogin: pod.AgentLogin,
+        SupervisorLogin: pod.SupervisorLogin,
+        Password: pod.Password,
+        CRMLogin: pod.CRMLogin,
+        CRMPassword: pod.CRMPassword,
+      };
+    },
+  },
+  {
+    name: 'clone_collection',
+    description: 'Copy every pod from a source collection into a new target collection (e.g., ciscolivepods into ciscolive2027pods), optionally resetting Status and test fields, rotating passwords, and renumbering. Runs as a dry-run preview by default; call again with dryRun: false to create the pods. Returns a per-pod result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'string',
+          description: 'Collection to copy from (e.g., ciscolivepods)',
+        },
+        target: {
+          type: 'string',
+          description: 'Collection to create pods in (e.g., ciscolive2027pods)',
+        },
+        resetStatus: {
+          type: 'boolean',
+          description: 'Set Status to unassigned and drop "Test Date"/"Test Status" (default: true)',
+          default: true,
+        },
+        passwordSource: {
+          type: 'string',
+          enum: CLONE_PASSWORD_SOURCES,
+          description: 'keep (copy passwords), generate (new random password per pod) or keyword (current pod keyword). Default: keep',
+          default: 'keep',
+        },
+        numberOffset: {
+          type: 'number',
+          description: 'Added to each pod number; POD names ending in the number follow it (default: 0)',
+          default: 0,
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Preview without creating anything (default: true)',
+          default: true,
+        },
+      },
+      required: ['source', 'target'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true },
+    role: 'admin',
+    handlesDryRun: true,
+    handler: async (args) => cloneCollection(args.source, args.target, {
+      resetStatus: args.resetStatus,
+      passwordSource: args.passwordSource,
+      numberOffset: args.numberOffset,
+      dryRun: args.dryRun,
+    }),
+  },
+  {
+    name: 'save_collection_snapshot',
+    description: 'Save the current state of a collection to a local snapshot file, for later comparison with diff_collections.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        name: {
+          type: 'string',
+          description: 'Snapshot name (letters, digits, ".", "_", "-"). Default: <collection>-<timestamp>',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: 'Replace an existing snapshot with the same name (default: false, which rejects the name)',
+          default: false,
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    handler: async (args) => saveSnapshot(args.collection, args.name, { overwrite: args.overwrite }),
+  },
+  {
+    name: 'list_collection_snapshots',
+    description: 'List saved collection snapshots, newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Only list snapshots of this collection',
+        },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => listSnapshots(args.collection),
+  },
+  {
+    name: 'diff_collections',
+    description: 'Compare two pod collections, or a collection with a saved snapshot, matching pods by Number. Reports added, removed and changed pods with field-level differences. Each side is a collection name (live data) or "snapshot:<name>".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        left: {
+          type: 'string',
+          description: 'Older side: collection name (e.g., coelabpods) or snapshot:<name>',
+        },
+        right: {
+          type: 'string',
+          description: 'Newer side: collection name (e.g., ciscolivepods) or snapshot:<name>',
+        },
+        ignoreFields: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Fields to leave out of the comparison (e.g., ["Password", "CRMPassword"])',
+        },
+      },
+      required: ['left', 'right'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => diffCollections(args.left, args.right, { ignoreFields: args.ignoreFields }),
+  },
+  {
+    name: 'record_pod_test',
+    description: 'Record a pod test result. Sets the pod\'s "Test Date" and "Test Status" and appends the run to the local test history so earlier results are kept.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number that was tested',
+        },
+        status: {
+          type: 'string',
+          description: 'Test result (e.g., passed, failed)',
+        },
+        date: {
+          type: 'string',
+          description: 'ISO 8601 test date (default: now)',
+        },
+        notes: {
+          type: 'string',
+          description: 'What was tested or what failed (optional)',
+        },
+        tester: {
+          type: 'string',
+          description: 'Who ran the test (optional)',
+        },
+      },
+      required: ['collection', 'number', 'status'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    auditTarget: (args) => ({ collection: args.collection, number: args.number }),
+    handler: async (args) => recordPodTest(args.collection, args.number, {
+      status: args.status,
+      date: args.date,
+      notes: args.notes,
+      tester: args.tester,
+    }),
+  },
+  {
+    name: 'get_pod_test_history',
+    description: 'Get recorded test runs. With a pod number, returns that pod\'s runs newest first; without one, returns per-pod run and failure counts for the collection, including which pods are flaky (both passed and failed).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection name',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number (omit for a collection-wide summary)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum runs to return for a single pod (default: 50)',
+          default: 50,
+        },
+      },
+      required: ['collection'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => (args.number === undefined
+      ? getCollectionTestHistory(args.collection)
+      : getPodTestHistory(args.collection, args.number, args.limit)),
+  },
+  {
+    name: 'get_audit_log',
+    description: 'Get audit log entries for mutating tool calls, newest first. Each entry has the timestamp, session, API key, tool, redacted arguments, before/after records and result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Only entries for this collection',
+        },
+        number: {
+          type: 'number',
+          description: 'Only entries for this pod number',
+        },
+        tool: {
+          type: 'string',
+          description: 'Only entries for this tool (e.g., delete_pod)',
+        },
+        since: {
+          type: 'string',
+          description: 'ISO 8601 start time (inclusive)',
+        },
+        until: {
+          type: 'string',
+          description: 'ISO 8601 end time (inclusive)',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum entries to return (default: 100)',
+          default: 100,
+        },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    role: 'admin',
+    handler: async (args) => queryAuditLog(args),
+  },
+  {
+    name: 'list_deleted_pods',
+    description: 'List pods deleted with delete_pod that are still in the trash and can be restored, newest first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Only list deleted pods from this collection',
+        },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => listDeletedPods(args.collection),
+  },
+  {
+    name: 'restore_pod',
+    description: 'Restore a deleted pod from the trash by re-creating it with its full original record. Uses the most recent deletion unless trashId is given.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: {
+          type: 'string',
+          description: 'Collection the pod was deleted from',
+        },
+        number: {
+          type: 'number',
+          description: 'Pod number to restore',
+        },
+        trashId: {
+          type: 'string',
+          description: 'Specific trash entry to restore (from list_deleted_pods); must be a deletion of this collection and pod number',
+        },
+      },
+      required: ['collection', 'number'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    role: 'admin',
+    auditTarget: (args) => ({ collection: args.collection, number: args.number }),
+    handler: async (args) => restorePod(args.collection, args.number, { trashId: args.trashId }),
+  },
+];
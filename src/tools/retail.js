@@ -0,0 +1,192 @@
+import { retailClient } from '../retailClient.js';
+import { NotFoundError } from '../errors.js';
+
+/**
+ * Fetch a customer, or null if none matches
+ */
+async function findCustomer(number) {
+  try {
+    return await retailClient.getCustomer(number);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Retail customer tools
+ * Each tool is declared once here and shared by every transport
+ */
+export const retailTools = [
+  {
+    name: 'get_customer',
+    description: 'Get a retail customer by phone number or order ID. Returns customer details including delivery status, product info, and contact information.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        number: {
+          type: 'string',
+          description: 'Phone number (e.g., +13033249089) or order ID (e.g., ORD-001) to look up',
+        },
+      },
+      required: ['number'],
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => retailClient.getCustomer(args.number),
+  },
+  {
+    name: 'get_all_customers',
+    description: 'Get all retail customers with pagination support. Returns a list of customers with their details.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'number',
+          description: 'Number of customers to return (default: 100)',
+          default: 100,
+        },
+        skip: {
+          type: 'number',
+          description: 'Number of customers to skip for pagination (default: 0)',
+          default: 0,
+        },
+      },
+    },
+    annotations: { readOnlyHint: true },
+    handler: async (args) => retailClient.getAllCustomers(args.limit || 100, args.skip || 0),
+  },
+  {
+    name: 'create_customer',
+    description: 'Create a new retail customer record with order and delivery information.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        orderId: {
+          type: 'string',
+          description: 'Unique order identifier',
+        },
+        phoneNumber: {
+          type: 'string',
+          description: 'Customer phone number (e.g., +13033249089)',
+        },
+        fName: {
+          type: 'string',
+          description: 'Customer first name',
+        },
+        lName: {
+          type: 'string',
+          description: 'Customer last name',
+        },
+        productName: {
+          type: 'string',
+          description: 'Name of the product ordered',
+        },
+        deliveryAddress: {
+          type: 'string',
+          description: 'Full delivery address',
+        },
+        deliveryETA: {
+          type: 'string',
+          description: 'Estimated delivery time/date',
+        },
+        deliveryStatus: {
+          type: 'string',
+          description: 'Current delivery status (e.g., Processing, In Transit, Delivered)',
+        },
+        safeLocation: {
+          type: 'string',
+          description: 'Safe delivery location preference',
+        },
+        timeZone: {
+          type: 'string',
+          description: 'Customer timezone (e.g., America/New_York, America/Los_Angeles)',
+        },
+        consentSMS: {
+          type: 'boolean',
+          description: 'SMS consent for notifications (default: true)',
+          default: true,
+        },
+        altDate1: {
+          type: 'string',
+          description: 'Alternative delivery date option 1',
+        },
+        altDate2: {
+          type: 'string',
+          description: 'Alternative delivery date option 2',
+        },
+      },
+      required: ['orderId', 'phoneNumber', 'fName', 'lName'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+    auditTarget: (args) => ({ customer: args.orderId }),
+    preview: async (args) => {
+      const existing = await findCustomer(args.orderId);
+      return existing
+        ? { warning: `Customer ${args.orderId} already exists; create would fail`, before: existing, after: existing }
+        : { before: null, after: args };
+    },
+    handler: async (args) => retailClient.createCustomer(args),
+  },
+  {
+    name: 'update_customer',
+    description: 'Update an existing retail customer record. Can update delivery status, address, contact info, etc.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        number: {
+          type: 'string',
+          description: 'Phone number or order ID of customer to update',
+        },
+        updates: {
+          type: 'object',
+          description: 'Fields to update (can include deliveryStatus, deliveryAddress, deliveryETA, safeLocation, altDate1, altDate2, etc.)',
+          properties: {
+            deliveryStatus: { type: 'string' },
+            deliveryAddress: { type: 'string' },
+            deliveryETA: { type: 'string' },
+            safeLocation: { type: 'string' },
+            timeZone: { type: 'string' },
+            altDate1: { type: 'string' },
+            altDate2: { type: 'string' },
+            consentSMS: { type: 'boolean' },
+            productName: { type: 'string' },
+            fName: { type: 'string' },
+            lName: { type: 'string' },
+          },
+        },
+      },
+      required: ['number', 'updates'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    auditTarget: (args) => ({ customer: args.number }),
+    preview: async (args) => {
+      const before = await retailClient.getCustomer(args.number);
+      return { before, after: { ...before, ...args.updates } };
+    },
+    handler: async (args) => retailClient.updateCustomer(args.number, args.updates),
+  },
+  {
+    name: 'delete_customer',
+    description: 'Delete a retail customer record by phone number or order ID.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        number: {
+          type: 'string',
+          description: 'Phone number or order ID of customer to delete',
+        },
+      },
+      required: ['number'],
+    },
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+    role: 'admin',
+    auditTarget: (args) => ({ customer: args.number }),
+    preview: async (args) => ({
+      before: await retailClient.getCustomer(args.number),
+      after: null,
+    }),
+    handler: async (args) => retailClient.deleteCustomer(args.number),
+  },
+];
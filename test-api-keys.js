@@ -0,0 +1,142 @@
+/**
+ * Cisco MCP Pods Server - API Key Tests
+ * Hashed key storage, lookup, revocation and reloading of the keys file (src/apiKeys.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync, utimesSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { config } from './src/config.js';
+import {
+  findApiKey,
+  generateApiKey,
+  hashApiKey,
+  isAuthEnabled,
+  loadApiKeys,
+  toAuthInfo,
+  writeKeysFile,
+} from './src/apiKeys.js';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'pods-api-keys-'));
+const original = {
+  apiKeysFile: config.apiKeysFile,
+  mcpApiKey: config.mcpApiKey,
+  mcpApiKeyHash: config.mcpApiKeyHash,
+};
+
+const proctorKey = generateApiKey();
+const adminKey = generateApiKey();
+const legacyKey = generateApiKey();
+const revokedKey = generateApiKey();
+
+/**
+ * Write the keys file with a new mtime, so the next lookup reloads it
+ * @param {Array<Object>} keys - Key entries
+ */
+let writes = 0;
+function writeKeys(keys) {
+  writeKeysFile({ keys });
+  writes += 1;
+  const mtime = new Date(Date.now() + writes * 1000);
+  utimesSync(config.apiKeysFile, mtime, mtime);
+}
+
+const validKeys = [
+  { name: 'proctor-a', hash: hashApiKey(proctorKey), role: 'proctor', collections: ['coelabpods'] },
+  { name: 'root', hash: hashApiKey(adminKey), role: 'admin', collections: ['*'] },
+  { name: 'legacy', key: legacyKey, role: 'read-only' },
+  { name: 'old', hash: hashApiKey(revokedKey), role: 'admin', revokedAt: '2026-01-01T00:00:00.000Z' },
+];
+
+before(() => {
+  Object.assign(config, { apiKeysFile: undefined, mcpApiKey: undefined, mcpApiKeyHash: undefined });
+});
+
+after(() => {
+  Object.assign(config, original);
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('hashApiKey', () => {
+  it('salts each hash', () => {
+    const key = generateApiKey();
+    assert.match(hashApiKey(key), /^sha256\$[\w-]+\$[\w-]+$/);
+    assert.notEqual(hashApiKey(key), hashApiKey(key));
+    assert.equal(hashApiKey(key, 'salt'), hashApiKey(key, 'salt'));
+  });
+});
+
+// Before the keys file is loaded: its keys stay loaded for the rest of the process
+describe('single-key settings', () => {
+  it('disable authentication when nothing is configured', () => {
+    assert.equal(isAuthEnabled(), false);
+    assert.equal(findApiKey(adminKey), null);
+  });
+
+  it('accept MCP_API_KEY_HASH as an admin key named default', () => {
+    config.mcpApiKeyHash = hashApiKey(adminKey);
+    assert.deepEqual(findApiKey(adminKey), { name: 'default', role: 'admin', collections: null });
+    assert.equal(findApiKey(legacyKey), null);
+    config.mcpApiKeyHash = undefined;
+  });
+
+  it('accept a plain MCP_API_KEY', () => {
+    config.mcpApiKey = legacyKey;
+    assert.equal(findApiKey(legacyKey).name, 'default');
+    config.mcpApiKey = undefined;
+  });
+});
+
+describe('keys file', () => {
+  before(() => {
+    config.apiKeysFile = join(dataDir, 'api-keys.json');
+  });
+
+  it('stops startup when the file is invalid', () => {
+    writeKeys([{ name: 'bad', hash: hashApiKey(adminKey), role: 'superuser' }]);
+    assert.throws(() => loadApiKeys(), /invalid role "superuser"/);
+  });
+
+  it('is written readable by the owner only', () => {
+    writeKeys(validKeys);
+    assert.equal(statSync(config.apiKeysFile).mode & 0o777, 0o600);
+    loadApiKeys();
+    assert.equal(isAuthEnabled(), true);
+  });
+
+  it('finds hashed and legacy plain keys with their role and collections', () => {
+    assert.deepEqual(findApiKey(proctorKey), { name: 'proctor-a', role: 'proctor', collections: ['coelabpods'] });
+    assert.deepEqual(findApiKey(adminKey), { name: 'root', role: 'admin', collections: null });
+    assert.deepEqual(findApiKey(legacyKey), { name: 'legacy', role: 'read-only', collections: null });
+  });
+
+  it('rejects unknown and revoked keys', () => {
+    assert.equal(findApiKey(generateApiKey()), null);
+    assert.equal(findApiKey(revokedKey), null);
+    assert.equal(findApiKey(''), null);
+  });
+
+  it('applies changes to the file without a restart', () => {
+    writeKeys(validKeys.map((entry) => (entry.name === 'proctor-a' ? { ...entry, revokedAt: new Date().toISOString() } : entry)));
+    assert.equal(findApiKey(proctorKey), null);
+    assert.equal(findApiKey(adminKey).name, 'root');
+  });
+
+  it('keeps the previous keys when a changed file is invalid', () => {
+    writeKeys([{ name: 'broken' }]);
+    assert.equal(findApiKey(adminKey).name, 'root');
+  });
+});
+
+describe('toAuthInfo', () => {
+  it('carries the key name, role and collections for permission checks', () => {
+    assert.deepEqual(toAuthInfo('secret', { name: 'proctor-a', role: 'proctor', collections: ['coelabpods'] }), {
+      token: 'secret',
+      clientId: 'proctor-a',
+      scopes: [],
+      extra: { role: 'proctor', collections: ['coelabpods'], authType: 'key' },
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Cisco MCP Pods Server - Bearer Token Tests
+ * JWT verification and scope-to-role mapping for OAuth callers (src/bearerAuth.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+import { InsufficientScopeError, InvalidTokenError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
+import { config } from './src/config.js';
+import { UpstreamUnavailableError } from './src/errors.js';
+import { bearerTokenVerifier, loadJwks } from './src/bearerAuth.js';
+
+const ISSUER = 'https://idp.test';
+const AUDIENCE = 'pods-mcp';
+const JWKS_URL = 'https://idp.test/.well-known/jwks.json';
+
+const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const ed = generateKeyPairSync('ed25519');
+const untrusted = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const jwks = {
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' },
+    { ...ed.publicKey.export({ format: 'jwk' }), kid: 'ed-1', alg: 'EdDSA' },
+  ],
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a token with the test keys
+ * @param {Object} claims - Claims added to (or overriding) valid defaults
+ * @param {Object} options - { alg, kid, key }
+ */
+function signToken(claims = {}, { alg = 'RS256', kid = 'rsa-1', key } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg, kid, typ: 'JWT' });
+  const payload = encode({
+    iss: ISSUER,
+    aud: AUDIENCE,
+    sub: 'user-1',
+    client_id: 'agent-x',
+    scope: 'pods:read',
+    iat: now,
+    exp: now + 600,
+    ...claims,
+  });
+  const data = Buffer.from(`${header}.${payload}`);
+  const signature = {
+    RS256: () => sign('sha256', data, key || rsa.privateKey),
+    ES256: () => sign('sha256', data, { key: key || ec.privateKey, dsaEncoding: 'ieee-p1363' }),
+    EdDSA: () => sign(null, data, key || ed.privateKey),
+  }[alg]();
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+const originalOAuth = { ...config.oauth };
+const originalFetch = globalThis.fetch;
+let jwksAvailable = false;
+
+before(() => {
+  Object.assign(config.oauth, { issuer: ISSUER, audience: AUDIENCE, jwksUrl: JWKS_URL, jwksFile: undefined });
+  globalThis.fetch = async (url) => {
+    assert.equal(String(url), JWKS_URL);
+    if (!jwksAvailable) {
+      throw new TypeError('fetch failed');
+    }
+    return new Response(JSON.stringify(jwks), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+});
+
+after(() => {
+  Object.assign(config.oauth, originalOAuth);
+  globalThis.fetch = originalFetch;
+});
+
+describe('JWKS loading', () => {
+  it('reports an unreachable JWKS endpoint as unavailable rather than an invalid token', async () => {
+    await assert.rejects(loadJwks(), UpstreamUnavailableError);
+  });
+
+  it('loads the JWKS once the endpoint answers', async () => {
+    jwksAvailable = true;
+    await loadJwks();
+  });
+});
+
+describe('verifyAccessToken', () => {
+  it('accepts RS256, ES256 and EdDSA tokens from the configured issuer', async () => {
+    for (const alg of ['RS256', 'ES256', 'EdDSA']) {
+      const kid = { RS256: 'rsa-1', ES256: 'ec-1', EdDSA: 'ed-1' }[alg];
+      const authInfo = await bearerTokenVerifier.verifyAccessToken(signToken({}, { alg, kid }));
+      assert.equal(authInfo.clientId, 'agent-x');
+      assert.deepEqual(authInfo.extra, { role: 'read-only', collections: null, subject: 'user-1', authType: 'oauth' });
+    }
+  });
+
+  it('maps scopes to the most privileged role and keeps the collections claim', async () => {
+    const authInfo = await bearerTokenVerifier.verifyAccessToken(signToken({
+      scope: 'pods:read pods:proctor',
+      collections: ['coelabpods'],
+    }));
+    assert.equal(authInfo.extra.role, 'proctor');
+    assert.deepEqual(authInfo.extra.collections, ['coelabpods']);
+    assert.deepEqual(authInfo.scopes, ['pods:read', 'pods:proctor']);
+  });
+
+  it('treats a wildcard collections claim as unrestricted and reads scp arrays', async () => {
+    const authInfo = await bearerTokenVerifier.verifyAccessToken(signToken({
+      scope: undefined,
+      scp: ['pods:admin'],
+      collections: ['*'],
+    }));
+    assert.equal(authInfo.extra.role, 'admin');
+    assert.equal(authInfo.extra.collections, null);
+  });
+
+  it('rejects tokens without a mapped scope', async () => {
+    await assert.rejects(bearerTokenVerifier.verifyAccessToken(signToken({ scope: 'openid' })), InsufficientScopeError);
+  });
+
+  const invalid = {
+    'a signature from another key': () => signToken({}, { key: untrusted.privateKey }),
+    'an unknown kid': () => signToken({}, { kid: 'rsa-2' }),
+    'an unsupported algorithm': () => `${encode({ alg: 'none' })}.${encode({ iss: ISSUER })}.`,
+    'a malformed token': () => 'not-a-jwt',
+    'another issuer': () => signToken({ iss: 'https://other.test' }),
+    'another audience': () => signToken({ aud: ['other-api'] }),
+    'an expired token': () => signToken({ exp: Math.floor(Date.now() / 1000) - 120 }),
+    'no exp claim': () => signToken({ exp: undefined }),
+    'a token that is not valid yet': () => signToken({ nbf: Math.floor(Date.now() / 1000) + 120 }),
+  };
+  for (const [name, token] of Object.entries(invalid)) {
+    it(`rejects ${name}`, async () => {
+      await assert.rejects(bearerTokenVerifier.verifyAccessToken(token()), InvalidTokenError);
+    });
+  }
+
+  it('allows a minute of clock skew on exp', async () => {
+    const authInfo = await bearerTokenVerifier.verifyAccessToken(signToken({ exp: Math.floor(Date.now() / 1000) - 30 }));
+    assert.ok(authInfo.expiresAt >= Math.floor(Date.now() / 1000));
+  });
+});
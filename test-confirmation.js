@@ -0,0 +1,135 @@
+/**
+ * Cisco MCP Pods Server - Confirmation Tests
+ * Elicitation and confirmToken gating of destructive tools (src/confirmation.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from './src/config.js';
+import { MASK } from './src/redaction.js';
+import { confirmToolCall, inputSchemaWithConfirmToken, requiresConfirmation } from './src/confirmation.js';
+
+const pod = { Number: 3, Status: 'assigned', Password: 'Cisco123!' };
+
+const deleteTool = {
+  name: 'delete_pod',
+  inputSchema: { type: 'object', properties: { collection: { type: 'string' }, number: { type: 'number' } } },
+  preview: async (args) => ({ collection: args.collection, before: pod, after: null }),
+};
+
+const args = { collection: 'coelabpods', number: 3 };
+
+/**
+ * Stand-in for the MCP server: records elicitation requests and answers them with a fixed result
+ * @param {Object} options - { elicitation: client supports elicitation, answer: elicitation result or Error }
+ */
+function fakeServer({ elicitation = false, answer } = {}) {
+  const requests = [];
+  return {
+    requests,
+    getClientCapabilities: () => (elicitation ? { elicitation: {} } : {}),
+    elicitInput: async (params, options) => {
+      requests.push({ params, options });
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer;
+    },
+  };
+}
+
+const extra = (sessionId = 'session-1') => ({
+  sessionId,
+  requestId: 7,
+  authInfo: { clientId: 'proctor-a', extra: { role: 'proctor' } },
+});
+
+describe('requiresConfirmation', () => {
+  it('follows CONFIRM_TOOLS and adds confirmToken to those tools only', () => {
+    assert.equal(requiresConfirmation(deleteTool), config.confirmTools.includes('delete_pod'));
+    const gated = { ...deleteTool, name: 'gated_tool' };
+    config.confirmTools.push('gated_tool');
+    try {
+      assert.equal(requiresConfirmation(gated), true);
+      assert.ok(inputSchemaWithConfirmToken(gated, gated.inputSchema).properties.confirmToken);
+      assert.equal(inputSchemaWithConfirmToken({ name: 'other' }, deleteTool.inputSchema), deleteTool.inputSchema);
+    } finally {
+      config.confirmTools.pop();
+    }
+  });
+});
+
+describe('confirmToken flow', () => {
+  it('returns the redacted record and a token instead of running the tool', async () => {
+    const gate = await confirmToolCall(fakeServer(), deleteTool, args, extra());
+    assert.equal(gate.confirmed, false);
+    assert.equal(gate.response.confirmationRequired, true);
+    assert.deepEqual(gate.response.record, { ...pod, Password: MASK });
+    assert.deepEqual(gate.response.details, { collection: 'coelabpods' });
+    assert.ok(gate.response.confirmToken);
+  });
+
+  it('confirms the same call once, whatever the argument order', async () => {
+    const { response } = await confirmToolCall(fakeServer(), deleteTool, args, extra());
+    const confirmed = await confirmToolCall(
+      fakeServer(),
+      deleteTool,
+      { number: 3, confirmToken: response.confirmToken, collection: 'coelabpods' },
+      extra()
+    );
+    assert.deepEqual(confirmed, { confirmed: true, args: { number: 3, collection: 'coelabpods' } });
+
+    await assert.rejects(
+      confirmToolCall(fakeServer(), deleteTool, { ...args, confirmToken: response.confirmToken }, extra()),
+      /Invalid or expired confirmToken/
+    );
+  });
+
+  it('rejects a token used for other arguments, another tool or another session', async () => {
+    const attempts = [
+      [deleteTool, { ...args, number: 4 }, extra()],
+      [{ ...deleteTool, name: 'release_all_pods' }, args, extra()],
+      [deleteTool, args, extra('session-2')],
+    ];
+    for (const [tool, callArgs, callExtra] of attempts) {
+      const { response } = await confirmToolCall(fakeServer(), deleteTool, args, extra());
+      await assert.rejects(
+        confirmToolCall(fakeServer(), tool, { ...callArgs, confirmToken: response.confirmToken }, callExtra),
+        /Invalid or expired confirmToken/
+      );
+    }
+  });
+});
+
+describe('elicitation', () => {
+  it('asks the user on the stream of the tool call', async () => {
+    const server = fakeServer({ elicitation: true, answer: { action: 'accept', content: { confirm: true } } });
+    const gate = await confirmToolCall(server, deleteTool, args, extra());
+    assert.deepEqual(gate, { confirmed: true, args });
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].options.relatedRequestId, 7);
+    assert.match(server.requests[0].params.message, /delete_pod/);
+    assert.doesNotMatch(server.requests[0].params.message, /Cisco123!/);
+  });
+
+  it('cancels when the user declines or does not tick confirm', async () => {
+    for (const answer of [{ action: 'decline' }, { action: 'accept', content: { confirm: false } }]) {
+      const gate = await confirmToolCall(fakeServer({ elicitation: true, answer }), deleteTool, args, extra());
+      assert.equal(gate.confirmed, false);
+      assert.equal(gate.response.cancelled, true);
+    }
+  });
+
+  it('falls back to a confirmToken when elicitation fails', async () => {
+    const server = fakeServer({ elicitation: true, answer: new Error('Request timed out') });
+    const gate = await confirmToolCall(server, deleteTool, args, extra());
+    assert.equal(gate.response.confirmationRequired, true);
+  });
+
+  it('is skipped on transports whose responses cannot carry it', async () => {
+    const server = fakeServer({ elicitation: true, answer: { action: 'accept', content: { confirm: true } } });
+    const gate = await confirmToolCall(server, deleteTool, args, extra(), { elicitation: false });
+    assert.equal(gate.response.confirmationRequired, true);
+    assert.equal(server.requests.length, 0);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Cisco MCP Pods Server - CSV Tests
+ * RFC 4180 reading and writing used by pod import and export (src/csv.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from './src/csv.js';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('Number,POD\n1,Pod1\n2,Pod2\n'), [['Number', 'POD'], ['1', 'Pod1'], ['2', 'Pod2']]);
+  });
+
+  it('reads quoted fields with commas, newlines and escaped quotes', () => {
+    assert.deepEqual(parseCsv('a,b,c\r\n"x, y","line 1\nline 2","say ""hi"""\r\n'), [
+      ['a', 'b', 'c'],
+      ['x, y', 'line 1\nline 2', 'say "hi"'],
+    ]);
+  });
+
+  it('accepts CRLF, a byte order mark, blank lines and a missing final newline', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n\r\n1,2\r\n  \n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c\n,,x\n'), [['a', '', 'c'], ['', '', 'x']]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a,"b\n1,2\n'), /unterminated quoted field/);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes only values that need it and ends rows with CRLF', () => {
+    assert.equal(
+      toCsv([['Number', 'Note'], [1, 'plain'], [2, 'a, "b"'], [3, null], [4, undefined]]),
+      'Number,Note\r\n1,plain\r\n2,"a, ""b"""\r\n3,\r\n4,\r\n'
+    );
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [['Number', 'Password', 'Notes'], ['7', 'p"w,1', 'first line\r\nsecond line']];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
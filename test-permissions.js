@@ -0,0 +1,148 @@
+/**
+ * Cisco MCP Pods Server - Permission Tests
+ * Role and collection rules for scoped API keys and OAuth tokens (src/permissions.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { config } from './src/config.js';
+import { PermissionError } from './src/errors.js';
+import {
+  assertResourceAllowed,
+  assertRouteAllowed,
+  assertToolAllowed,
+  canUseTool,
+  referencedCollections,
+  requiredRole,
+} from './src/permissions.js';
+
+/**
+ * Request handler extra for a caller authenticated with a scoped key
+ */
+function callerExtra(role, collections = null) {
+  return { authInfo: { clientId: `${role}-key`, extra: { role, collections } } };
+}
+
+const readTool = {
+  name: 'get_all_pods',
+  inputSchema: { type: 'object', properties: { collection: { type: 'string' } } },
+  annotations: { readOnlyHint: true },
+};
+const writeTool = {
+  name: 'update_pod',
+  inputSchema: { type: 'object', properties: { collection: { type: 'string' }, number: { type: 'number' } } },
+  annotations: { readOnlyHint: false },
+};
+const adminTool = { ...writeTool, name: 'delete_pod', role: 'admin' };
+const multiTool = {
+  name: 'clone_collection',
+  inputSchema: { type: 'object', properties: { source: { type: 'string' }, target: { type: 'string' } } },
+  annotations: { readOnlyHint: false },
+  role: 'admin',
+};
+const filterTool = {
+  name: 'get_audit_log',
+  inputSchema: { type: 'object', properties: { collection: { type: 'string' } } },
+  annotations: { readOnlyHint: true },
+  role: 'admin',
+};
+
+describe('requiredRole', () => {
+  it('uses the role on the definition, then the readOnlyHint', () => {
+    assert.equal(requiredRole(adminTool), 'admin');
+    assert.equal(requiredRole(writeTool), 'proctor');
+    assert.equal(requiredRole(readTool), 'read-only');
+  });
+});
+
+describe('canUseTool', () => {
+  it('allows everything when the transport has no scoped caller', () => {
+    assert.equal(canUseTool(adminTool, {}), true);
+  });
+
+  it('compares the caller role with the tool minimum', () => {
+    assert.equal(canUseTool(readTool, callerExtra('read-only')), true);
+    assert.equal(canUseTool(writeTool, callerExtra('read-only')), false);
+    assert.equal(canUseTool(writeTool, callerExtra('proctor')), true);
+    assert.equal(canUseTool(adminTool, callerExtra('proctor')), false);
+  });
+});
+
+describe('assertToolAllowed', () => {
+  it('rejects callers below the required role', async () => {
+    await assert.rejects(assertToolAllowed(writeTool, { collection: 'coelabpods' }, callerExtra('read-only')), PermissionError);
+  });
+
+  it('rejects collections outside the caller scope', async () => {
+    const extra = callerExtra('admin', ['coelabpods']);
+    await assertToolAllowed(writeTool, { collection: 'coelabpods', number: 1 }, extra);
+    await assert.rejects(assertToolAllowed(writeTool, { collection: 'testpods', number: 1 }, extra), /testpods/);
+  });
+
+  it('requires scoped callers to pass an optional collection filter', async () => {
+    await assert.rejects(assertToolAllowed(filterTool, {}, callerExtra('admin', ['coelabpods'])), /pass a collection/);
+    await assertToolAllowed(filterTool, {}, callerExtra('admin'));
+  });
+
+  it('checks every collection argument', async () => {
+    const extra = callerExtra('admin', ['coelabpods']);
+    await assert.rejects(assertToolAllowed(multiTool, { source: 'coelabpods', target: 'ciscolivepods' }, extra), /ciscolivepods/);
+    await assert.rejects(assertToolAllowed(multiTool, { collections: ['coelabpods', 'testpods'] }, extra), /testpods/);
+  });
+});
+
+describe('snapshot references', () => {
+  let dataDir;
+  let originalDataDir;
+
+  before(async () => {
+    originalDataDir = config.dataDir;
+    dataDir = await mkdtemp(join(tmpdir(), 'pods-permissions-'));
+    config.dataDir = dataDir;
+    await mkdir(join(dataDir, 'snapshots'));
+    await writeFile(join(dataDir, 'snapshots', 'before-event.json'), JSON.stringify({ collection: 'ciscolivepods', pods: [] }));
+  });
+
+  after(async () => {
+    config.dataDir = originalDataDir;
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('resolve to the collection the snapshot was taken of', async () => {
+    assert.deepEqual(await referencedCollections({ left: 'snapshot:before-event', right: 'coelabpods' }), ['ciscolivepods', 'coelabpods']);
+  });
+
+  it('are denied when the snapshot collection is outside the caller scope', async () => {
+    const extra = callerExtra('admin', ['coelabpods']);
+    await assert.rejects(assertToolAllowed(readTool, { collection: 'snapshot:before-event' }, extra), /ciscolivepods/);
+    await assert.rejects(assertResourceAllowed({ collection: 'snapshot:before-event' }, extra), PermissionError);
+  });
+
+  it('reference nothing when the snapshot does not exist', async () => {
+    assert.deepEqual(await referencedCollections({ collection: 'snapshot:missing' }), []);
+  });
+});
+
+describe('assertRouteAllowed', () => {
+  const auth = (role, collections = null) => callerExtra(role, collections).authInfo;
+
+  it('allows requests without a scoped caller', () => {
+    assertRouteAllowed(undefined, 'admin');
+  });
+
+  it('enforces the minimum role', () => {
+    assert.throws(() => assertRouteAllowed(auth('proctor'), 'admin'), PermissionError);
+    assertRouteAllowed(auth('admin'), 'admin');
+  });
+
+  it('requires scoped callers to pass a filter collection they may access', () => {
+    const scoped = auth('admin', ['coelabpods']);
+    assert.throws(() => assertRouteAllowed(scoped, 'admin', [], { filter: true }), /pass a collection/);
+    assert.throws(() => assertRouteAllowed(scoped, 'admin', ['testpods'], { filter: true }), /testpods/);
+    assertRouteAllowed(scoped, 'admin', ['coelabpods'], { filter: true });
+    assertRouteAllowed(auth('admin'), 'admin', [], { filter: true });
+  });
+});
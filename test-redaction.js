@@ -0,0 +1,98 @@
+/**
+ * Cisco MCP Pods Server - Redaction Tests
+ * Policy-based masking of tool results and audit log entries (src/redaction.js)
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// The policy is read when the module loads, so point REDACTION_POLICY_FILE at a test policy first
+const policyDir = mkdtempSync(join(tmpdir(), 'pods-redaction-'));
+const policyFile = join(policyDir, 'policy.json');
+writeFileSync(policyFile, JSON.stringify({
+  fields: { Password: 'mask', CRMPassword: 'omit', keyword: 'mask', phoneNumber: 'mask' },
+  roles: { admin: { password: 'none', crmpassword: 'none' } },
+}));
+process.env.REDACTION_POLICY_FILE = policyFile;
+
+const { MASK, fieldModesForRole, redact, redactSecrets, resolveRole } = await import('./src/redaction.js');
+
+after(() => {
+  rmSync(policyDir, { recursive: true, force: true });
+});
+
+const pod = {
+  Number: 1,
+  AdminLogin: 'admin1@coelab.wbx.ai',
+  Password: 'Cisco123!',
+  CRMPassword: 'crmpw',
+  Status: 'assigned',
+};
+
+describe('fieldModesForRole', () => {
+  it('keys modes by lowercase field name with role overrides applied', () => {
+    assert.deepEqual(fieldModesForRole('admin'), {
+      password: 'none',
+      crmpassword: 'none',
+      keyword: 'mask',
+      phonenumber: 'mask',
+    });
+    assert.equal(fieldModesForRole('proctor').password, 'mask');
+  });
+});
+
+describe('redact', () => {
+  it('masks and omits fields for roles without overrides', () => {
+    assert.deepEqual(redact(pod, 'proctor'), {
+      Number: 1,
+      AdminLogin: 'admin1@coelab.wbx.ai',
+      Password: MASK,
+      Status: 'assigned',
+    });
+  });
+
+  it('applies role overrides', () => {
+    assert.deepEqual(redact(pod, 'admin'), pod);
+  });
+
+  it('matches field names regardless of case', () => {
+    assert.deepEqual(redact({ Keyword: 'Cisco123!', PASSWORD: 'x' }, 'proctor'), { Keyword: MASK, PASSWORD: MASK });
+  });
+
+  it('redacts nested records and arrays', () => {
+    const result = redact({ pods: [pod], changes: { Password: { before: 'old', after: 'new' } } }, 'read-only');
+    assert.equal(result.pods[0].Password, MASK);
+    assert.deepEqual(result.changes.Password, { before: MASK, after: MASK });
+  });
+
+  it('keeps the last four characters of phone numbers', () => {
+    assert.deepEqual(redact({ phoneNumber: '4085551234' }), { phoneNumber: '******1234' });
+  });
+
+  it('leaves empty values alone', () => {
+    assert.deepEqual(redact({ Password: '', keyword: null }), { Password: '', keyword: null });
+  });
+});
+
+describe('redactSecrets', () => {
+  it('masks passwords and the keyword even where the policy allows them', () => {
+    assert.deepEqual(redactSecrets({ ...pod, keyword: 'Cisco123!' }), {
+      Number: 1,
+      AdminLogin: 'admin1@coelab.wbx.ai',
+      Password: MASK,
+      CRMPassword: MASK,
+      Status: 'assigned',
+      keyword: MASK,
+    });
+  });
+});
+
+describe('resolveRole', () => {
+  it('reads the role from the authenticated caller', () => {
+    assert.equal(resolveRole({ authInfo: { extra: { role: 'proctor' } } }), 'proctor');
+    assert.equal(resolveRole({}), undefined);
+  });
+});